@@ -3,10 +3,21 @@
  * Islamic PWA for spiritual focus and reflection
  */
 
-import { renderRamadanStatus } from './modules/ramadan.js';
-import { initCibro } from './modules/cibro.js';
-import { initQuran } from './modules/quran.js';
-import { initTasbiix } from './modules/tasbiix.js';
+import { renderRamadanStatus, onDayChange } from './modules/ramadan.js';
+import { initCibro, showCibroDay } from './modules/cibro.js';
+import { initQuran, openSurahViewer } from './modules/quran.js';
+import { initSearch } from './modules/search.js';
+import { initTasbiix, resetDay } from './modules/tasbiix.js';
+import { initFasting, renderFasting } from './modules/fasting.js';
+import { initJournal } from './modules/journal.js';
+import { initZakat } from './modules/zakat.js';
+import { initQibla } from './modules/qibla.js';
+import { initTimetable, renderTimetable } from './modules/timetable.js';
+import { initSettings, SETTINGS_EVENT } from './modules/settings.js';
+import { initShare } from './modules/share.js';
+import { initFavorites } from './modules/favorites.js';
+import { initReading, getLastRead } from './modules/reading.js';
+import { initKhatm, renderKhatm } from './modules/khatm.js';
 import { loaderExit, setupScrollTrigger, sectionEntrance } from './modules/animations.js';
 
 /**
@@ -36,18 +47,52 @@ async function init() {
                 renderRamadanStatus(ramadanStatus);
             }
 
-            // Initialize Cibro (Daily Reflection)
+            // Initialize Cibro (Daily Reflection) and its journal
+            initJournal();
             await initCibro();
 
-            // Initialize Quran section
+            // Initialize Quran section, its search and reading position
             await initQuran();
+            initSearch();
+            initReading();
 
             // Initialize Tasbiix
             initTasbiix();
 
+            // Initialize fasting log
+            initFasting();
+
+            // Initialize zakat calculator
+            initZakat();
+
+            // Initialize Qibla finder
+            initQibla();
+
+            // Initialize Ramadan timetable
+            initTimetable();
+
+            // Initialize reflection share panel
+            initShare();
+
+            // Initialize saved items view
+            initFavorites();
+
+            // Initialize khatm planner
+            await initKhatm();
+
+            // Initialize settings panel
+            initSettings();
+            setupSettingsRefresh();
+
+            // Refresh daily content when the Islamic day rolls over
+            setupDayRollover();
+
             // Setup navigation
             setupNavigation();
 
+            // Open "#cibro?day=5" and "#quran?surah=2&ayah=255" links
+            setupDeepLinks();
+
             // Setup scroll animations
             setupScrollAnimations();
 
@@ -112,6 +157,88 @@ function showUpdateNotification() {
     }
 }
 
+/**
+ * Re-render date-dependent views when settings change
+ */
+function setupSettingsRefresh() {
+    window.addEventListener(SETTINGS_EVENT, async () => {
+        const ramadanStatus = document.getElementById('ramadan-status');
+        if (ramadanStatus) {
+            renderRamadanStatus(ramadanStatus);
+        }
+
+        renderFasting();
+        renderTimetable();
+        renderKhatm();
+        await initCibro();
+    });
+}
+
+/**
+ * Subscribe daily views to day changes while the app stays open
+ */
+function setupDayRollover() {
+    onDayChange(async () => {
+        resetDay();
+        renderFasting();
+        renderTimetable();
+        renderKhatm();
+        await initCibro();
+    });
+}
+
+/**
+ * Smooth-scroll to a section below the sticky nav
+ * @param {string} id - Section id
+ */
+function scrollToSection(id) {
+    const targetSection = document.getElementById(id);
+    if (!targetSection) return;
+
+    const navHeight = document.querySelector('.nav').offsetHeight;
+    const targetTop = targetSection.offsetTop - navHeight;
+
+    window.scrollTo({
+        top: targetTop,
+        behavior: 'smooth'
+    });
+}
+
+/**
+ * Open deep links to a Cibro day or an ayah
+ * Handles the link the app was opened with and any followed later
+ */
+function setupDeepLinks() {
+    const openLink = async () => {
+        const [section, query] = window.location.hash.slice(1).split('?');
+        if (!query) return;
+
+        const params = new URLSearchParams(query);
+
+        // Clear the hash so the same link can be followed again
+        history.replaceState(null, '', window.location.pathname + window.location.search);
+
+        if (section === 'cibro' && params.has('day')) {
+            await showCibroDay(parseInt(params.get('day')));
+            scrollToSection('cibro');
+        } else if (section === 'quran' && params.has('continue')) {
+            // Manifest shortcut: reopen the last-read position
+            const last = getLastRead();
+            if (last) {
+                await openSurahViewer(last.surah, { ayah: last.ayah });
+            } else {
+                scrollToSection('quran');
+            }
+        } else if (section === 'quran' && params.has('surah')) {
+            const ayah = parseInt(params.get('ayah'));
+            await openSurahViewer(parseInt(params.get('surah')), ayah ? { from: ayah, to: ayah } : {});
+        }
+    };
+
+    window.addEventListener('hashchange', openLink);
+    openLink();
+}
+
 /**
  * Setup navigation
  */
@@ -127,18 +254,7 @@ function setupNavigation() {
             link.classList.add('active');
 
             // Scroll to section
-            const targetId = link.getAttribute('href').slice(1);
-            const targetSection = document.getElementById(targetId);
-
-            if (targetSection) {
-                const navHeight = document.querySelector('.nav').offsetHeight;
-                const targetTop = targetSection.offsetTop - navHeight;
-
-                window.scrollTo({
-                    top: targetTop,
-                    behavior: 'smooth'
-                });
-            }
+            scrollToSection(link.getAttribute('href').slice(1));
         });
     });
 
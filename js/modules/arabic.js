@@ -0,0 +1,127 @@
+/**
+ * Arabic Text Module - Normalization for matching Quranic text
+ * Lets plain spellings like "آل عمران" match the fully voweled mushaf text
+ */
+
+// Harakat, tanween, shadda, sukun, superscript alef and combining madda/hamza,
+// Quranic annotation marks (small high letters, pause marks, rub el hizb…),
+// tatweel, byte-order mark and the standalone hamza, which plain spelling
+// writes on a seat or leaves out (ءَامَنُوا۟ is typed آمنوا, شَىْءٍ is شيء)
+const DROPPED = /[\u064B-\u065F\u0670\u06D6-\u06ED\u0640\uFEFF\u0621]/;
+
+// Superscript (dagger) alef: a long alef the mushaf writes above the line, which
+// plain spelling may or may not write out (ٱلْعَٰلَمِينَ is typed العالمين or العلمين)
+export const SUPERSCRIPT_ALEF = '\u0670';
+
+// Hamza above a tatweel, where plain spelling writes the hamza on an alef (يَسْـَٔلُونَكَ is يسألونك)
+const HAMZA_ON_TATWEEL = /\u0640[\u064B-\u0653]*\u0654$/;
+
+// Letter variants written as one letter
+const LETTER_VARIANTS = {
+    '\u0622': '\u0627',  // آ → ا
+    '\u0623': '\u0627',  // أ → ا
+    '\u0625': '\u0627',  // إ → ا
+    '\u0671': '\u0627',  // ٱ → ا
+    '\u0624': '\u0648',  // ؤ → و
+    '\u0626': '\u064A',  // ئ → ي
+    '\u0629': '\u0647',  // ة → ه
+    '\u0649': '\u064A'   // ى → ي
+};
+
+/**
+ * Normalize Arabic text, keeping where each character came from
+ * @param {string} text
+ * @param {Object} options - { markSuperscriptAlef: put SUPERSCRIPT_ALEF where the text had
+ *                           one or a hamza on a tatweel, instead of dropping them }
+ * @returns {Object} { text, map } where map[i] is the source index of text[i]
+ */
+export function normalizeWithMap(text, options = {}) {
+    const { markSuperscriptAlef = false } = options;
+    let out = '';
+    const map = [];
+    let pendingSpace = -1;
+    let lastLetter = '';
+    // Source index where the current word began, until its first letter is out;
+    // a match starting there keeps a leading dropped hamza (ءَايَٰتِ)
+    let wordStart = -1;
+
+    const emit = (ch, i) => {
+        out += ch;
+        map.push(wordStart >= 0 ? wordStart : i);
+        wordStart = -1;
+    };
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        const space = /\s/.test(ch);
+
+        if (!space && wordStart < 0 && (!out || lastLetter === ' ' || pendingSpace >= 0)) wordStart = i;
+
+        // Mushaf spelling of the vocative and other long alefs after ya: يَٰٓأَيُّهَا is typed يا أيها
+        if (ch === '\u0670' && lastLetter === '\u064A') {
+            emit('\u0627', i);
+            lastLetter = ch;
+            continue;
+        }
+
+        // Other superscript alefs, unless a waw before it already stands for the alef
+        const alefSpot = (ch === SUPERSCRIPT_ALEF && text[i - 1] !== '\u0648')
+            || HAMZA_ON_TATWEEL.test(text.slice(Math.max(0, i - 4), i + 1));
+        if (markSuperscriptAlef && alefSpot) {
+            emit(SUPERSCRIPT_ALEF, i);
+            lastLetter = ch;
+            continue;
+        }
+
+        if (DROPPED.test(ch)) continue;
+        lastLetter = space ? ' ' : ch;
+
+        // Collapse whitespace runs, dropping leading and trailing ones
+        if (space) {
+            if (out && pendingSpace < 0) pendingSpace = i;
+            wordStart = -1;
+            continue;
+        }
+
+        if (pendingSpace >= 0) {
+            out += ' ';
+            map.push(pendingSpace);
+            pendingSpace = -1;
+        }
+
+        // Mushaf spelling of a long alef: waw carrying a superscript alef (ٱلصَّلَوٰةَ)
+        if (ch === '\u0648' && text[i + 1] === '\u0670') {
+            emit('\u0627', i);
+        } else {
+            emit(LETTER_VARIANTS[ch] || ch, i);
+        }
+    }
+
+    return { text: out, map };
+}
+
+/**
+ * Normalize Arabic text for comparison
+ * Strips diacritics and unifies letter variants
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeArabic(text) {
+    return normalizeWithMap(text).text;
+}
+
+/**
+ * Convert Arabic-Indic digits to ASCII
+ * @param {string} text
+ * @returns {string}
+ */
+export function toAsciiDigits(text) {
+    return text.replace(/[\u0660-\u0669]/g, d => String(d.charCodeAt(0) - 0x0660));
+}
+
+export default {
+    SUPERSCRIPT_ALEF,
+    normalizeWithMap,
+    normalizeArabic,
+    toAsciiDigits
+};
@@ -3,11 +3,66 @@
  * Enhanced with cinematic GSAP animations
  */
 
-import { getCurrentRamadanDay, isRamadan } from './ramadan.js';
+import {
+    getCurrentRamadanDay,
+    isRamadan,
+    getUpcomingRamadan,
+    getDaysUntilRamadan,
+    getIslamicDate,
+    getHijriDate
+} from './ramadan.js';
+import { gregorianToJdn } from './hijri.js';
 import { typewriterEffect, wordByWordReveal, setupScrollTrigger } from './animations.js';
+import { isQadrNight, QADR_DUA, QADR_DUA_MEANING } from './qadr.js';
+import { LANGUAGES, getLanguage, localize } from './language.js';
+import { renderJournal } from './journal.js';
+import { resolveReference, validateReflections } from './references.js';
+import { openSurahViewer, getAllSurahs, getSurah, getAyahText } from './quran.js';
+import { openSharePanel } from './share.js';
+import { FAVORITES_EVENT, getCibroLink, getAyahLink, isFavorite, toggleFavorite } from './favorites.js';
 
 let reflectionsData = null;
 
+// Day picked in the archive; null follows today
+let selectedDay = null;
+
+// Where the verse of the day is drawn from
+const VERSE_SOURCE_KEY = 'hadiye_verse_source';
+
+export const VERSE_SOURCES = {
+    curated: 'Liis la doortay',
+    all: 'Quraanka oo dhan'
+};
+
+// Step through the mushaf by day; coprime with 6236 so every ayah comes up once per cycle
+const VERSE_STRIDE = 2399;
+
+// Longer ayahs are passed over so the verse fits the card and the share image
+const VERSE_MAX_LENGTH = 300;
+
+// Days before Ramadan that show the preparation reflection
+const PREPARATION_DAYS = 10;
+
+// Sentence ends in Latin and Arabic script, with any closing quotes, before whitespace
+const SENTENCE_END = /([.!?\u061F\u06D4]+['"\u2019\u201D\u00BB]*)\s+/g;
+
+// Running animations, killed before each replay
+let cibroTimeline = null;
+let cibroScrollDelay = null;
+let cibroTweens = [];
+
+// Longest reflection excerpt on a share card, in characters
+const SHARE_EXCERPT_LENGTH = 220;
+
+// Share card for the reflection on screen
+let shareCard = null;
+
+// Favorite items for the reflection and dua on screen: { reflection, dua }
+let favoriteItems = {};
+
+// Bumped by every render, so a day left quickly can't finish over the one shown now
+let renderId = 0;
+
 /**
  * Load reflections data
  */
@@ -24,8 +79,183 @@ async function loadReflections() {
     }
 }
 
+/**
+ * Get the verse-of-the-day source
+ * @returns {string} Key of VERSE_SOURCES
+ */
+export function getVerseSource() {
+    try {
+        const saved = localStorage.getItem(VERSE_SOURCE_KEY);
+        return VERSE_SOURCES[saved] ? saved : 'curated';
+    } catch (error) {
+        return 'curated';
+    }
+}
+
+/**
+ * Set the verse-of-the-day source
+ * @param {string} source - Key of VERSE_SOURCES
+ */
+export function setVerseSource(source) {
+    if (!VERSE_SOURCES[source]) return;
+
+    try {
+        localStorage.setItem(VERSE_SOURCE_KEY, source);
+    } catch (error) {
+        console.error('Failed to save verse source:', error);
+    }
+}
+
+/**
+ * Text of an ayah range, joined the way reflections.json writes them
+ * @param {Object} surah - Surah object
+ * @param {number} from
+ * @param {number} to
+ * @returns {string}
+ */
+function getAyahRangeText(surah, from, to) {
+    const ayahs = [];
+    for (let ayah = from; ayah <= to; ayah++) {
+        ayahs.push(getAyahText(surah, ayah));
+    }
+    return ayahs.join(' • ');
+}
+
+/**
+ * Pick the day's verse from the curated list
+ * @param {Array<string>} references - Ayah references
+ * @param {number} dayNumber - Julian day number of today
+ * @returns {Promise<Object|null>} { ayah, surah }
+ */
+async function pickCuratedVerse(references, dayNumber) {
+    const reference = references[dayNumber % references.length];
+    const resolved = await resolveReference(reference);
+    if (!resolved) return null;
+
+    const surah = await getSurah(resolved.surah);
+    return { ayah: getAyahRangeText(surah, resolved.from, resolved.to), surah: reference };
+}
+
+/**
+ * Pick the day's verse from the whole mushaf
+ * @param {number} dayNumber - Julian day number of today
+ * @returns {Promise<Object|null>} { ayah, surah }
+ */
+async function pickMushafVerse(dayNumber) {
+    const surahs = await getAllSurahs();
+    const total = surahs.reduce((sum, s) => sum + s.c, 0);
+    if (!total) return null;
+
+    let index = (dayNumber * VERSE_STRIDE) % total;
+
+    for (let tries = 0; tries < total; tries++, index = (index + 1) % total) {
+        let ayah = index;
+        const entry = surahs.find(s => {
+            if (ayah < s.c) return true;
+            ayah -= s.c;
+            return false;
+        });
+
+        // The index has no verses; fetch just this surah
+        const surah = await getSurah(entry.n);
+        if (!surah) return null;
+
+        const text = getAyahText(surah, ayah + 1);
+        if (text.length <= VERSE_MAX_LENGTH) {
+            return { ayah: text, surah: `${surah.name}:${ayah + 1}` };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Get the verse of the day, the same all day for everyone
+ * @param {Object} data - Reflections data
+ * @param {Date} date - Islamic day
+ * @param {Object} hijri - Today's Hijri date
+ * @returns {Promise<Object|null>} Reflection object
+ */
+async function getVerseOfTheDay(data, date, hijri) {
+    const verse = data.verseOfTheDay;
+    if (!verse) return null;
+
+    const dayNumber = gregorianToJdn(date.getFullYear(), date.getMonth() + 1, date.getDate());
+    const picked = getVerseSource() === 'curated' && verse.curated?.length
+        ? await pickCuratedVerse(verse.curated, dayNumber)
+        : await pickMushafVerse(dayNumber);
+
+    if (!picked) return null;
+
+    return {
+        type: 'verse',
+        title: 'Aayadda Maanta',
+        key: `verse-${hijri.month}-${hijri.day}`,
+        ...picked,
+        reflection: verse.reflection,
+        dua: verse.dua,
+        duaMeaning: verse.duaMeaning
+    };
+}
+
+/**
+ * Find today's entry in the content series
+ * Month series match the Hijri month and day; weekday series rotate weekly
+ * @param {Array} seriesList - data.series
+ * @param {Date} date - Islamic day
+ * @param {Object} hijri - Today's Hijri date
+ * @returns {Object|null} Reflection object
+ */
+function getSeriesReflection(seriesList, date, hijri) {
+    for (const series of seriesList) {
+        let entry = null;
+        let title = series.title;
+
+        if (series.month) {
+            if (series.month !== hijri.month) continue;
+            entry = series.entries.find(e => e.day === hijri.day);
+            title = `${series.title} · ${hijri.day}`;
+        } else if (series.weekday === date.getDay()) {
+            const week = Math.floor(gregorianToJdn(date.getFullYear(), date.getMonth() + 1, date.getDate()) / 7);
+            entry = series.entries[week % series.entries.length];
+        }
+
+        if (entry) {
+            return {
+                type: 'series',
+                series: series.id,
+                title,
+                key: `${series.id}-${hijri.month}-${hijri.day}`,
+                ...entry
+            };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Get the year-round reflection for today, outside Ramadan
+ * Preparation in the run-up, then any series for the Hijri date, else the verse of the day
+ * @param {Object} data - Reflections data
+ * @returns {Promise<Object>} Reflection object
+ */
+async function getSeasonalReflection(data) {
+    const preparation = { type: 'preparation', ...data.preparation };
+
+    if (getDaysUntilRamadan() <= PREPARATION_DAYS) return preparation;
+
+    const date = getIslamicDate();
+    const hijri = getHijriDate();
+
+    return getSeriesReflection(data.series || [], date, hijri)
+        || await getVerseOfTheDay(data, date, hijri)
+        || preparation;
+}
+
 /**
  * Get daily reflection based on current Ramadan day
+ * The current day rolls over at Maghrib when a location is known
  * @param {number} day - Day number (1-30), optional
  * @returns {Object|null} Reflection object
  */
@@ -34,16 +264,13 @@ export async function getDailyReflection(day = null) {
     if (!data) return null;
 
     // If day not specified, get current day
-    if (day === null) {
+    if (day === null && isRamadan()) {
         day = getCurrentRamadanDay();
     }
 
-    // If not Ramadan or day is null, return preparation
-    if (!day || !isRamadan()) {
-        return {
-            type: 'preparation',
-            ...data.preparation
-        };
+    // Outside Ramadan with no day picked, return year-round content
+    if (!day) {
+        return getSeasonalReflection(data);
     }
 
     // Find daily reflection
@@ -59,34 +286,246 @@ export async function getDailyReflection(day = null) {
     return null;
 }
 
+/**
+ * Days the archive can show
+ * While Ramadan is in progress, days after today are locked
+ * @returns {Object} { total, today, lastOpen }
+ */
+function getArchiveDays() {
+    const total = reflectionsData ? reflectionsData.daily.length : 30;
+    const today = isRamadan() ? getCurrentRamadanDay() : null;
+
+    return { total, today, lastOpen: today || total };
+}
+
+/**
+ * Day currently shown: the picked day, else today (null = preparation)
+ * @returns {number|null}
+ */
+function getShownDay() {
+    const { today, lastOpen } = getArchiveDays();
+
+    // A picked day can become locked again, e.g. after a sighting change
+    if (selectedDay !== null && selectedDay > lastOpen) {
+        selectedDay = null;
+    }
+
+    return selectedDay ?? today;
+}
+
+/**
+ * Split a reflection into sentences for the paragraph reveal
+ * Punctuation stays with its sentence, so Arabic "؟" and quoted questions survive
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function splitParagraphs(text) {
+    return text
+        .replace(SENTENCE_END, '$1\n')
+        .split('\n')
+        .map(s => s.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Leading sentences of a reflection that fit on a share card
+ * @param {Array<string>} sentences - From splitParagraphs()
+ * @returns {string}
+ */
+function getExcerpt(sentences) {
+    let excerpt = sentences[0] || '';
+
+    for (const sentence of sentences.slice(1)) {
+        if (excerpt.length + sentence.length + 1 > SHARE_EXCERPT_LENGTH) break;
+        excerpt += ` ${sentence}`;
+    }
+
+    if (excerpt.length > SHARE_EXCERPT_LENGTH) {
+        excerpt = `${excerpt.slice(0, SHARE_EXCERPT_LENGTH).replace(/\s+\S*$/, '')}…`;
+    }
+
+    return excerpt;
+}
+
+/**
+ * Ramadan a reflection's journal entry belongs to
+ * Outside Ramadan, archive days answer the last Ramadan and preparation the next
+ * @param {Object} reflection - From getDailyReflection()
+ * @returns {number} Hijri year
+ */
+function getJournalYear(reflection) {
+    // Year-round content belongs to the Hijri year it is shown in
+    if (reflection.type === 'series' || reflection.type === 'verse') {
+        return getHijriDate().year;
+    }
+
+    const { hijriYear } = getUpcomingRamadan();
+    return reflection.type === 'daily' && !isRamadan() ? hijriYear - 1 : hijriYear;
+}
+
+/**
+ * Short title of a reflection, e.g. "Maalinta 5" or "Jimce"
+ * @param {Object} reflection - From getDailyReflection()
+ * @returns {string}
+ */
+function getReflectionTitle(reflection) {
+    if (reflection.type === 'daily') return `Maalinta ${reflection.day}`;
+    return reflection.title || 'Diyaargarow';
+}
+
+/**
+ * Check every reflection's reference against the Quran data
+ * @returns {Promise<Array>} Issues from validateReflections()
+ */
+export async function validateCibroContent() {
+    const data = await loadReflections();
+    if (!data) return [{ day: null, reference: '', level: 'error', message: 'Reflections failed to load' }];
+
+    return validateReflections(data);
+}
+
+/**
+ * Render the reference, tappable when it resolves to ayahs
+ * @param {HTMLElement} referenceEl
+ * @param {string} reference - e.g. "العصر:1-2"
+ * @param {Object|null} resolved - From resolveReference()
+ */
+function renderReference(referenceEl, reference, resolved) {
+    if (!resolved) {
+        referenceEl.textContent = `— ${reference}`;
+        return;
+    }
+
+    const link = document.createElement('button');
+    link.className = 'cibro-reference-link';
+    link.textContent = `— ${reference}`;
+    link.title = `Fur suuradda ${resolved.name}`;
+    link.addEventListener('click', () => {
+        openSurahViewer(resolved.surah, { from: resolved.from, to: resolved.to });
+    });
+
+    referenceEl.replaceChildren(link);
+}
+
+/**
+ * Reflect the saved state of the reflection and dua on their star buttons
+ */
+function updateFavoriteButtons() {
+    const buttons = [
+        [document.getElementById('cibro-favorite'), favoriteItems.reflection],
+        [document.getElementById('dua-favorite'), favoriteItems.dua]
+    ];
+
+    buttons.forEach(([btn, item]) => {
+        if (!btn || !item) return;
+
+        const saved = isFavorite(item.id);
+        btn.classList.toggle('active', saved);
+        btn.setAttribute('aria-pressed', String(saved));
+        btn.textContent = saved ? '★' : '☆';
+    });
+}
+
 /**
  * Render Cibro section with enhanced animations
  * @param {Object} containers - DOM element containers
  */
 export async function renderCibro(containers) {
     const { ayahEl, referenceEl, reflectionEl, duaEl } = containers;
+    const id = ++renderId;
+
+    await loadReflections();
+    if (id !== renderId) return;
 
-    const reflection = await getDailyReflection();
+    const reflection = await getDailyReflection(getShownDay());
+    if (id !== renderId) return;
+
+    renderCibroNav(reflection);
 
     if (!reflection) {
         ayahEl.textContent = 'Unable to load reflection';
         return;
     }
 
+    const resolved = await resolveReference(reflection.surah);
+    if (id !== renderId) return;
+
     // Set initial content (hidden)
     ayahEl.textContent = reflection.ayah;
-    referenceEl.textContent = `— ${reflection.surah}`;
+    renderReference(referenceEl, reflection.surah, resolved);
+
+    // Reflection in the chosen language, Somali when no translation exists
+    const { text, lang } = localize(reflection.reflection);
+    reflectionEl.lang = lang;
+    reflectionEl.dir = LANGUAGES[lang].dir;
 
     // Split reflection into paragraphs for scroll animation
-    const sentences = reflection.reflection.split('. ').filter(s => s.trim());
+    const sentences = splitParagraphs(text);
     reflectionEl.innerHTML = sentences.map((sentence, i) =>
-        `<p class="reflection-paragraph" data-index="${i}">${sentence.trim()}${i < sentences.length - 1 ? '.' : ''}</p>`
+        `<p class="reflection-paragraph" data-index="${i}">${sentence}</p>`
     ).join('');
 
+    shareCard = {
+        ayah: reflection.ayah,
+        reference: reflection.surah,
+        excerpt: getExcerpt(sentences),
+        excerptDir: LANGUAGES[lang].dir,
+        label: `Cibro · ${getReflectionTitle(reflection)}`,
+        filename: `hadiye-cibro-${reflection.type === 'daily' ? reflection.day : reflection.key || 'preparation'}`
+    };
+
+    // Odd nights of the last ten: the Laylat al-Qadr dua takes the dua slot
+    const qadr = reflection.type === 'daily' && isQadrNight(reflection.day);
+    const duaContainer = duaEl.parentElement;
+    const duaLabel = duaContainer.querySelector('.dua-label');
+
+    duaContainer.classList.toggle('qadr', qadr);
+    if (duaLabel) {
+        duaLabel.textContent = qadr ? "Du'aaca Laylatul Qadr" : "Du'aaca Maanta";
+    }
+
     // Store dua for word-by-word animation
-    duaEl.dataset.dua = reflection.dua;
+    duaEl.dataset.dua = qadr ? QADR_DUA : reflection.dua;
     duaEl.textContent = '';
 
+    // Meaning of the dua; Arabic readers need none
+    const meaning = localize(qadr ? QADR_DUA_MEANING : reflection.duaMeaning);
+    const meaningEl = duaContainer.querySelector('.dua-meaning');
+    if (meaningEl) {
+        meaningEl.hidden = getLanguage() === 'ar' || !meaning.text;
+        meaningEl.textContent = meaning.text;
+    }
+
+    // Daily reflections link back to their day; year-round content to its ayah
+    const sourceKey = reflection.type === 'daily' ? `day-${reflection.day}` : `${reflection.type}-${reflection.surah}`;
+    const link = reflection.type === 'daily'
+        ? getCibroLink(reflection.day)
+        : resolved ? getAyahLink(resolved.surah, resolved.from) : '#cibro';
+
+    favoriteItems = {
+        reflection: {
+            id: `reflection:${sourceKey}`,
+            type: 'reflection',
+            title: getReflectionTitle(reflection),
+            arabic: reflection.ayah,
+            reference: reflection.surah,
+            text: shareCard.excerpt,
+            link
+        },
+        dua: {
+            id: `dua:${qadr ? 'qadr' : sourceKey}`,
+            type: 'dua',
+            title: qadr ? "Du'aaca Laylatul Qadr" : getReflectionTitle(reflection),
+            arabic: duaEl.dataset.dua,
+            text: meaning.text,
+            link
+        }
+    };
+    updateFavoriteButtons();
+
+    // Personal answer to the day's reflection
+    renderJournal(document.getElementById('cibro-journal'), reflection, getJournalYear(reflection));
+
     // Trigger cinematic animations
     animateCibro(containers, reflection);
 }
@@ -99,10 +538,14 @@ export async function renderCibro(containers) {
 function animateCibro(containers, reflection) {
     const { ayahEl, referenceEl, reflectionEl, duaEl } = containers;
 
+    // Replays start from a clean slate
+    killCibroAnimation();
+
     // Create master timeline
     const tl = gsap.timeline({
         defaults: { ease: 'power2.out' }
     });
+    cibroTimeline = tl;
 
     // 1. Ayah: Slow blur-to-focus reveal
     tl.fromTo(ayahEl,
@@ -130,7 +573,7 @@ function animateCibro(containers, reflection) {
         // 3. Reflection paragraphs: Staggered reveal
         .add(() => {
             const paragraphs = reflectionEl.querySelectorAll('.reflection-paragraph');
-            gsap.fromTo(paragraphs,
+            cibroTweens.push(gsap.fromTo(paragraphs,
                 {
                     opacity: 0,
                     y: 30,
@@ -144,21 +587,21 @@ function animateCibro(containers, reflection) {
                     stagger: 0.4,
                     ease: 'power2.out'
                 }
-            );
+            ));
 
             // Setup ScrollTrigger for cinematic focus
-            setTimeout(() => {
+            cibroScrollDelay = gsap.delayedCall(1.5, () => {
                 setupCibroScrollTrigger(paragraphs);
-            }, 1500);
+            });
         }, '+=0.5')
         // 4. Dua: Word-by-word breathing reveal
         .add(() => {
             if (duaEl.dataset.dua) {
-                wordByWordReveal(duaEl, duaEl.dataset.dua, {
+                cibroTweens.push(wordByWordReveal(duaEl, duaEl.dataset.dua, {
                     wordDelay: 0.3,
                     duration: 0.6,
                     blur: 6
-                });
+                }));
             }
         }, '+=2')
         // 5. Dua container reveal
@@ -169,6 +612,27 @@ function animateCibro(containers, reflection) {
         );
 }
 
+/**
+ * Kill the running Cibro timeline, its pending steps and its ScrollTriggers
+ */
+function killCibroAnimation() {
+    if (cibroTimeline) {
+        cibroTimeline.kill();
+        cibroTimeline = null;
+    }
+
+    if (cibroScrollDelay) {
+        cibroScrollDelay.kill();
+        cibroScrollDelay = null;
+    }
+
+    cibroTweens.forEach(tween => {
+        if (tween.scrollTrigger) tween.scrollTrigger.kill();
+        tween.kill();
+    });
+    cibroTweens = [];
+}
+
 /**
  * Setup ScrollTrigger for Cibro paragraphs
  * Creates cinematic focus effect on scroll
@@ -177,7 +641,7 @@ function animateCibro(containers, reflection) {
 function setupCibroScrollTrigger(paragraphs) {
     paragraphs.forEach((para, index) => {
         // Fade in on scroll
-        gsap.to(para, {
+        cibroTweens.push(gsap.to(para, {
             scrollTrigger: {
                 trigger: para,
                 start: 'top 75%',
@@ -190,10 +654,10 @@ function setupCibroScrollTrigger(paragraphs) {
             scale: 1,
             color: '#f5f5f5',
             ease: 'power2.inOut'
-        });
+        }));
 
         // Fade out as it scrolls past
-        gsap.to(para, {
+        cibroTweens.push(gsap.to(para, {
             scrollTrigger: {
                 trigger: para,
                 start: 'top 25%',
@@ -205,7 +669,109 @@ function setupCibroScrollTrigger(paragraphs) {
             scale: 0.98,
             color: '#6b7280',
             ease: 'power2.inOut'
-        });
+        }));
+    });
+}
+
+/**
+ * Render the day navigation and the 30-day picker
+ * @param {Object|null} reflection - Reflection on screen
+ */
+function renderCibroNav(reflection) {
+    const prevBtn = document.getElementById('cibro-prev');
+    const nextBtn = document.getElementById('cibro-next');
+    const dayBtn = document.getElementById('cibro-day-toggle');
+    const todayBtn = document.getElementById('cibro-today');
+    const picker = document.getElementById('cibro-picker');
+    if (!prevBtn || !nextBtn || !dayBtn || !picker) return;
+
+    const { total, today, lastOpen } = getArchiveDays();
+    const shown = getShownDay();
+
+    prevBtn.disabled = !shown || shown <= 1;
+    nextBtn.disabled = shown !== null && shown >= lastOpen;
+    dayBtn.textContent = shown
+        ? `Maalinta ${shown}${shown === today ? ' · Maanta' : ''}`
+        : (reflection?.title || 'Diyaargarow');
+
+    if (todayBtn) {
+        todayBtn.hidden = shown === today;
+    }
+
+    picker.innerHTML = Array.from({ length: total }, (_, i) => {
+        const day = i + 1;
+        const classes = ['cibro-picker-day', day === shown ? 'active' : '', day === today ? 'today' : ''];
+        return `<button class="${classes.join(' ')}" data-day="${day}" ${day > lastOpen ? 'disabled' : ''}>${day}</button>`;
+    }).join('');
+}
+
+/**
+ * Show a day from the archive
+ * @param {number|null} day - Ramadan day, or null for today
+ */
+export async function showCibroDay(day) {
+    const { today, lastOpen } = getArchiveDays();
+
+    if (day !== null && (day < 1 || day > lastOpen)) return;
+
+    selectedDay = day === today ? null : day;
+    await initCibro();
+}
+
+/**
+ * Wire up the day navigation (once)
+ */
+function setupCibroNav() {
+    const nav = document.getElementById('cibro-nav');
+    const picker = document.getElementById('cibro-picker');
+    const dayBtn = document.getElementById('cibro-day-toggle');
+    if (!nav || !picker || !dayBtn || nav.dataset.bound) return;
+
+    nav.dataset.bound = 'true';
+
+    const togglePicker = (open) => {
+        picker.hidden = !open;
+        dayBtn.setAttribute('aria-expanded', String(open));
+    };
+
+    document.getElementById('cibro-prev')?.addEventListener('click', () => {
+        const shown = getShownDay();
+        if (shown > 1) showCibroDay(shown - 1);
+    });
+
+    document.getElementById('cibro-next')?.addEventListener('click', () => {
+        const shown = getShownDay();
+        showCibroDay(shown === null ? 1 : shown + 1);
+    });
+
+    document.getElementById('cibro-today')?.addEventListener('click', () => {
+        togglePicker(false);
+        showCibroDay(null);
+    });
+
+    dayBtn.addEventListener('click', () => togglePicker(picker.hidden));
+
+    document.getElementById('cibro-share')?.addEventListener('click', () => {
+        if (shareCard) openSharePanel(shareCard);
+    });
+
+    document.getElementById('cibro-favorite')?.addEventListener('click', () => {
+        if (favoriteItems.reflection) toggleFavorite(favoriteItems.reflection);
+    });
+
+    document.getElementById('dua-favorite')?.addEventListener('click', () => {
+        if (favoriteItems.dua) toggleFavorite(favoriteItems.dua);
+    });
+
+    // Items can also be removed from the "Kaydsan" view
+    window.addEventListener(FAVORITES_EVENT, updateFavoriteButtons);
+
+    picker.addEventListener('click', (e) => {
+        const btn = e.target.closest('.cibro-picker-day');
+        if (!btn || btn.disabled) return;
+
+        togglePicker(false);
+        showCibroDay(parseInt(btn.dataset.day));
     });
 }
 
@@ -223,6 +789,8 @@ export async function initCibro() {
         return;
     }
 
+    setupCibroNav();
+
     await renderCibro({
         ayahEl,
         referenceEl,
@@ -232,8 +800,13 @@ export async function initCibro() {
 }
 
 export default {
+    VERSE_SOURCES,
+    getVerseSource,
+    setVerseSource,
     getDailyReflection,
     renderCibro,
+    showCibroDay,
+    validateCibroContent,
     initCibro
 };
 
@@ -0,0 +1,195 @@
+/**
+ * Clock Module - Shared time source and one-second scheduler
+ * Every module reads the time through getNow() so it can be previewed;
+ * ticks only while the page is visible and someone is listening
+ */
+
+const TICK_MS = 1000;
+
+// Storage key for a preview set from the settings panel
+const STORAGE_KEY = 'hadiye_clock';
+
+// URL parameters: ?date=2026-03-10T19:00 (time keeps running), &freeze=1 (pinned)
+const DATE_PARAM = 'date';
+const FREEZE_PARAM = 'freeze';
+
+// Active preview: null, or { time: ISO string, frozen: boolean, setAt: ms }
+let preview = null;
+
+// Tick subscribers
+const listeners = new Set();
+let timer = null;
+
+/**
+ * Load preview from the URL, falling back to localStorage
+ */
+function loadPreview() {
+    try {
+        const params = new URLSearchParams(window.location.search);
+        const date = params.get(DATE_PARAM);
+
+        if (date && !isNaN(new Date(date))) {
+            preview = {
+                time: new Date(date).toISOString(),
+                frozen: params.has(FREEZE_PARAM),
+                setAt: Date.now(),
+                fromUrl: true
+            };
+            return;
+        }
+
+        const saved = localStorage.getItem(STORAGE_KEY);
+        if (saved) {
+            preview = JSON.parse(saved);
+        }
+    } catch (error) {
+        console.error('Failed to load clock preview:', error);
+    }
+}
+
+loadPreview();
+
+/**
+ * Current time, honouring any preview
+ * @returns {Date}
+ */
+export function getNow() {
+    if (!preview) return new Date();
+
+    const base = new Date(preview.time).getTime();
+    return new Date(preview.frozen ? base : base + (Date.now() - preview.setAt));
+}
+
+/**
+ * Get the active preview
+ * @returns {Object|null} { time, frozen, fromUrl }
+ */
+export function getPreview() {
+    return preview ? { ...preview } : null;
+}
+
+/**
+ * Preview the app at another date/time
+ * @param {Date} date - Time to jump to
+ * @param {Object} options - { frozen: pin the time instead of letting it run }
+ */
+export function setPreview(date, options = {}) {
+    preview = {
+        time: date.toISOString(),
+        frozen: Boolean(options.frozen),
+        setAt: Date.now()
+    };
+
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(preview));
+    } catch (error) {
+        console.error('Failed to save clock preview:', error);
+    }
+
+    tick();
+}
+
+/**
+ * Return to real time
+ */
+export function clearPreview() {
+    preview = null;
+
+    try {
+        localStorage.removeItem(STORAGE_KEY);
+    } catch (error) {
+        console.error('Failed to clear clock preview:', error);
+    }
+
+    // Drop the URL parameters so a reload stays in real time
+    const url = new URL(window.location.href);
+    if (url.searchParams.has(DATE_PARAM)) {
+        url.searchParams.delete(DATE_PARAM);
+        url.searchParams.delete(FREEZE_PARAM);
+        history.replaceState(null, '', url);
+    }
+
+    tick();
+}
+
+/**
+ * Run all tick listeners
+ */
+function tick() {
+    listeners.forEach(listener => {
+        try {
+            listener();
+        } catch (error) {
+            console.error('Clock listener failed:', error);
+        }
+    });
+}
+
+/**
+ * Start ticking if visible and needed
+ */
+function start() {
+    if (timer || listeners.size === 0 || document.hidden) return;
+    timer = setInterval(tick, TICK_MS);
+}
+
+/**
+ * Stop ticking
+ */
+function stop() {
+    clearInterval(timer);
+    timer = null;
+}
+
+// Pause while the tab is hidden; catch up immediately when it returns
+document.addEventListener('visibilitychange', () => {
+    if (document.hidden) {
+        stop();
+    } else {
+        tick();
+        start();
+    }
+});
+
+/**
+ * Call a listener every second
+ * @param {Function} listener
+ * @returns {Function} Unsubscribe
+ */
+export function onTick(listener) {
+    listeners.add(listener);
+    start();
+
+    return () => {
+        listeners.delete(listener);
+        if (listeners.size === 0) stop();
+    };
+}
+
+/**
+ * Call a listener whenever a derived value changes
+ * @param {Function} selector - Returns a comparable value (string/number)
+ * @param {Function} listener - Called with (value, previous)
+ * @returns {Function} Unsubscribe
+ */
+export function watch(selector, listener) {
+    let previous = selector();
+
+    return onTick(() => {
+        const value = selector();
+        if (value !== previous) {
+            const old = previous;
+            previous = value;
+            listener(value, old);
+        }
+    });
+}
+
+export default {
+    getNow,
+    getPreview,
+    setPreview,
+    clearPreview,
+    onTick,
+    watch
+};
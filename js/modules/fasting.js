@@ -0,0 +1,359 @@
+/**
+ * Fasting Log Module - Ramadan day grid, qada balance and fidya calculator
+ */
+
+import { getRamadanStatus, getRamadanDates, getIslamicDate } from './ramadan.js';
+
+// Storage key
+const STORAGE_KEY = 'hadiye_fasting';
+
+// Day states, in the order a tap cycles through them
+const DAY_STATES = ['fasted', 'missed', 'excused'];
+
+const DAY_LABELS = {
+    fasted: 'Soomay',
+    missed: 'Dhaafay',
+    excused: 'Cudur-daar'
+};
+
+// Kaffarah: feeding sixty people for each deliberately broken fast
+const KAFFARAH_PEOPLE = 60;
+
+// State
+let state = {
+    log: {},          // { [hijriYear]: { [day]: 'fasted'|'missed'|'excused' } }
+    qadaPaid: [],     // Make-up fasts as YYYY-MM-DD
+    fidyaRate: 0,     // Amount per day in local currency
+    currency: '',
+    fidyaDays: 0,
+    kaffarahCount: 0
+};
+
+/**
+ * Load state from localStorage
+ */
+function loadState() {
+    try {
+        const saved = localStorage.getItem(STORAGE_KEY);
+        if (saved) {
+            state = { ...state, ...JSON.parse(saved) };
+        }
+    } catch (error) {
+        console.error('Failed to load fasting log:', error);
+    }
+}
+
+/**
+ * Save state to localStorage
+ */
+function saveState() {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+    } catch (error) {
+        console.error('Failed to save fasting log:', error);
+    }
+}
+
+/**
+ * Local date as YYYY-MM-DD
+ */
+function toDateKey(date) {
+    const m = String(date.getMonth() + 1).padStart(2, '0');
+    const d = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${m}-${d}`;
+}
+
+/**
+ * Get the fasting log for a Ramadan
+ * @param {number} hijriYear
+ * @returns {Object} { [day]: state }
+ */
+export function getFastingLog(hijriYear) {
+    return { ...(state.log[hijriYear] || {}) };
+}
+
+/**
+ * Set (or clear) a day's state
+ * @param {number} hijriYear
+ * @param {number} day - Ramadan day
+ * @param {string|null} dayState - 'fasted' | 'missed' | 'excused' | null
+ */
+export function setDayState(hijriYear, day, dayState) {
+    const log = state.log[hijriYear] || {};
+
+    if (dayState && DAY_STATES.includes(dayState)) {
+        log[day] = dayState;
+    } else {
+        delete log[day];
+    }
+
+    state.log[hijriYear] = log;
+    saveState();
+}
+
+/**
+ * Get the qada balance carried across all Ramadans
+ * Missed and excused days are both owed, less the days fidya is paid for
+ * instead; make-up fasts pay the rest down
+ * @returns {Object} { owed, fidya, paid, balance }
+ */
+export function getQadaBalance() {
+    const missed = Object.values(state.log).reduce((sum, log) =>
+        sum + Object.values(log).filter(s => s === 'missed' || s === 'excused').length, 0);
+    const fidya = Math.min(missed, state.fidyaDays);
+    const owed = missed - fidya;
+    const paid = state.qadaPaid.length;
+
+    return { owed, fidya, paid, balance: Math.max(0, owed - paid) };
+}
+
+/**
+ * Record a make-up fast
+ * A day can only be fasted once, so a second record of it is ignored
+ * @param {Date} date - Day fasted, defaults to today
+ */
+export function recordQadaFast(date = getIslamicDate()) {
+    const key = toDateKey(date);
+    if (state.qadaPaid.includes(key)) return;
+
+    state.qadaPaid = [...state.qadaPaid, key].sort();
+    saveState();
+}
+
+/**
+ * Remove a recorded make-up fast
+ * @param {string} dateKey - YYYY-MM-DD
+ */
+export function removeQadaFast(dateKey) {
+    const index = state.qadaPaid.lastIndexOf(dateKey);
+    if (index === -1) return;
+
+    state.qadaPaid = state.qadaPaid.filter((_, i) => i !== index);
+    saveState();
+}
+
+/**
+ * Calculate fidya and kaffarah
+ * @param {Object} input - { rate, days, kaffarahCount }
+ * @returns {Object} { fidya, kaffarah, total }
+ */
+export function calculateFidya({ rate, days, kaffarahCount }) {
+    const fidya = rate * days;
+    const kaffarah = rate * KAFFARAH_PEOPLE * kaffarahCount;
+    return { fidya, kaffarah, total: fidya + kaffarah };
+}
+
+/**
+ * Format an amount with the user's currency
+ * @param {number} amount
+ * @returns {string}
+ */
+function formatAmount(amount) {
+    const value = amount.toLocaleString('en-US', { maximumFractionDigits: 2 });
+    return state.currency ? `${value} ${state.currency}` : value;
+}
+
+/**
+ * Ramadan to show in the grid: the current one, else the last completed one
+ * @param {Object} status - From getRamadanStatus()
+ * @returns {Object} { hijriYear, totalDays, currentDay }
+ */
+function getLogRamadan(status) {
+    if (status.isRamadan) {
+        return { hijriYear: status.hijriYear, totalDays: status.totalDays, currentDay: status.currentDay };
+    }
+
+    const previous = getRamadanDates(status.hijriYear - 1);
+    return { hijriYear: previous.hijriYear, totalDays: previous.totalDays, currentDay: null };
+}
+
+/**
+ * Render the 30-day grid
+ * @param {HTMLElement} container
+ */
+function renderGrid(container) {
+    const status = getRamadanStatus();
+    const { hijriYear, totalDays, currentDay } = getLogRamadan(status);
+    const log = getFastingLog(hijriYear);
+
+    const counts = DAY_STATES.reduce((acc, s) => ({
+        ...acc,
+        [s]: Object.values(log).filter(v => v === s).length
+    }), {});
+
+    container.innerHTML = `
+        <div class="fasting-grid-header">
+            <span>Ramadaan ${hijriYear}</span>
+            <span class="fasting-grid-counts">
+                ${DAY_STATES.map(s => `<span class="fasting-count ${s}">${DAY_LABELS[s]}: ${counts[s]}</span>`).join('')}
+            </span>
+        </div>
+        <div class="fasting-grid">
+            ${Array.from({ length: totalDays }, (_, i) => {
+                const day = i + 1;
+                const locked = currentDay !== null && day > currentDay;
+                return `
+                    <button class="fasting-day ${log[day] || ''} ${day === currentDay ? 'today' : ''}"
+                        data-day="${day}" ${locked ? 'disabled' : ''}
+                        title="${log[day] ? DAY_LABELS[log[day]] : ''}">
+                        ${day}
+                    </button>
+                `;
+            }).join('')}
+        </div>
+        <p class="fasting-hint">Taabo maalin: Soomay → Dhaafay → Cudur-daar → Madhan</p>
+    `;
+
+    container.querySelectorAll('.fasting-day:not([disabled])').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const day = parseInt(btn.dataset.day);
+            const current = log[day];
+            const next = DAY_STATES[DAY_STATES.indexOf(current) + 1] || null;
+
+            setDayState(hijriYear, day, next);
+            renderFasting();
+        });
+    });
+}
+
+/**
+ * Render the qada balance and make-up log
+ * @param {HTMLElement} container
+ */
+function renderQada(container) {
+    const { owed, fidya, paid, balance } = getQadaBalance();
+    const recent = state.qadaPaid.slice(-5).reverse();
+    const doneToday = state.qadaPaid.includes(toDateKey(getIslamicDate()));
+
+    container.innerHTML = `
+        <h3 class="fasting-subtitle">Qadada (Soomaha laga dhaafay)</h3>
+        <div class="qada-balance">
+            <span class="qada-value">${balance}</span>
+            <span class="qada-label">maalmood ayaa kugu hadhay · ${owed} lagu leeyahay${fidya ? ` · ${fidya} fidya` : ''} · ${paid} la gutay</span>
+        </div>
+        <button class="fasting-btn" id="qada-record" ${balance === 0 || doneToday ? 'disabled' : ''}>
+            ${doneToday ? 'Maanta waa la qadeeyay ✓' : 'Maanta waan qadeeyay'}
+        </button>
+        ${recent.length ? `
+            <ul class="qada-list">
+                ${recent.map(key => `
+                    <li>
+                        <span>${key}</span>
+                        <button class="qada-remove" data-date="${key}" aria-label="Tirtir">×</button>
+                    </li>
+                `).join('')}
+            </ul>
+        ` : ''}
+    `;
+
+    container.querySelector('#qada-record').addEventListener('click', () => {
+        recordQadaFast();
+        renderFasting();
+    });
+
+    container.querySelectorAll('.qada-remove').forEach(btn => {
+        btn.addEventListener('click', () => {
+            removeQadaFast(btn.dataset.date);
+            renderFasting();
+        });
+    });
+}
+
+/**
+ * Render the fidya / kaffarah calculator
+ * @param {HTMLElement} container
+ */
+function renderFidya(container) {
+    container.innerHTML = `
+        <h3 class="fasting-subtitle">Fidya iyo Kafaara</h3>
+        <div class="fidya-form">
+            <label class="fidya-field">
+                <span>Qiimaha quudinta hal maalin</span>
+                <input type="number" min="0" step="0.01" id="fidya-rate" value="${state.fidyaRate || ''}" placeholder="0">
+            </label>
+            <label class="fidya-field">
+                <span>Lacagta</span>
+                <input type="text" id="fidya-currency" placeholder="USD, SOS, KES…" maxlength="6">
+            </label>
+            <label class="fidya-field">
+                <span>Maalmaha aan la qadeyn karin</span>
+                <input type="number" min="0" max="30" id="fidya-days" value="${state.fidyaDays || ''}" placeholder="0">
+            </label>
+            <label class="fidya-field">
+                <span>Soomaha si ula kac ah loo jebiyay</span>
+                <input type="number" min="0" max="30" id="fidya-kaffarah" value="${state.kaffarahCount || ''}" placeholder="0">
+            </label>
+        </div>
+        <div class="fidya-result" id="fidya-result"></div>
+    `;
+
+    const resultEl = container.querySelector('#fidya-result');
+    container.querySelector('#fidya-currency').value = state.currency;
+
+    const update = () => {
+        state.fidyaRate = parseFloat(container.querySelector('#fidya-rate').value) || 0;
+        state.currency = container.querySelector('#fidya-currency').value.trim();
+        state.fidyaDays = parseInt(container.querySelector('#fidya-days').value) || 0;
+        state.kaffarahCount = parseInt(container.querySelector('#fidya-kaffarah').value) || 0;
+        saveState();
+
+        // Days covered by fidya come off the qada balance
+        const qada = document.getElementById('fasting-qada');
+        if (qada) renderQada(qada);
+
+        const { fidya, kaffarah, total } = calculateFidya({
+            rate: state.fidyaRate,
+            days: state.fidyaDays,
+            kaffarahCount: state.kaffarahCount
+        });
+
+        resultEl.innerHTML = `
+            <div class="fidya-row"><span>Fidya (${state.fidyaDays} × ${formatAmount(state.fidyaRate)})</span><span>${formatAmount(fidya)}</span></div>
+            <div class="fidya-row"><span>Kafaara (${state.kaffarahCount} × ${KAFFARAH_PEOPLE} qof)</span><span>${formatAmount(kaffarah)}</span></div>
+            <div class="fidya-row total"><span>Wadarta</span><span>${formatAmount(total)}</span></div>
+        `;
+    };
+
+    container.querySelectorAll('input').forEach(input => {
+        input.addEventListener('input', update);
+    });
+
+    update();
+}
+
+/**
+ * Render the whole fasting section
+ */
+export function renderFasting() {
+    const grid = document.getElementById('fasting-log');
+    const qada = document.getElementById('fasting-qada');
+    const fidya = document.getElementById('fasting-fidya');
+
+    if (grid) renderGrid(grid);
+    if (qada) renderQada(qada);
+
+    // Calculator inputs keep focus: only build them once
+    if (fidya && !fidya.dataset.rendered) {
+        renderFidya(fidya);
+        fidya.dataset.rendered = 'true';
+    }
+}
+
+/**
+ * Initialize fasting log section
+ */
+export function initFasting() {
+    loadState();
+    renderFasting();
+}
+
+export default {
+    getFastingLog,
+    setDayState,
+    getQadaBalance,
+    recordQadaFast,
+    removeQadaFast,
+    calculateFidya,
+    renderFasting,
+    initFasting
+};
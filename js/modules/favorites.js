@@ -0,0 +1,211 @@
+/**
+ * Favorites Module - Saved reflections, duas and ayahs
+ * Each item keeps a deep link back to its Cibro day or surah/ayah
+ */
+
+// Storage key
+const STORAGE_KEY = 'hadiye_favorites';
+
+// Event dispatched on window whenever an item is starred or removed
+export const FAVORITES_EVENT = 'hadiye:favoriteschange';
+
+// Types in the order the "Kaydsan" view groups them
+export const FAVORITE_TYPES = {
+    reflection: 'Cibro',
+    dua: "Du'o",
+    ayah: 'Aayado'
+};
+
+// Saved items: [{ id, type, title, arabic, text, reference, link, note, savedAt }]
+let favorites = loadFavorites();
+
+/**
+ * Load favorites from localStorage
+ * @returns {Array}
+ */
+function loadFavorites() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        return Array.isArray(saved) ? saved : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * Save favorites to localStorage
+ */
+function saveFavorites() {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(favorites));
+    } catch (error) {
+        console.error('Failed to save favorites:', error);
+    }
+}
+
+/**
+ * Notify the app that the set of favorites changed
+ */
+function notifyChange() {
+    window.dispatchEvent(new CustomEvent(FAVORITES_EVENT));
+}
+
+/**
+ * Deep link to a Cibro day
+ * @param {number} day - Ramadan day
+ * @returns {string}
+ */
+export function getCibroLink(day) {
+    return `#cibro?day=${day}`;
+}
+
+/**
+ * Deep link to an ayah in the surah viewer
+ * @param {number} surah - Surah number
+ * @param {number} ayah - Ayah number
+ * @returns {string}
+ */
+export function getAyahLink(surah, ayah) {
+    return `#quran?surah=${surah}&ayah=${ayah}`;
+}
+
+/**
+ * Get saved items, newest first
+ * @param {string} type - Optional key of FAVORITE_TYPES
+ * @returns {Array}
+ */
+export function getFavorites(type = null) {
+    const items = type ? favorites.filter(f => f.type === type) : favorites;
+    return [...items].sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+}
+
+/**
+ * Check whether an item is saved
+ * @param {string} id
+ * @returns {boolean}
+ */
+export function isFavorite(id) {
+    return favorites.some(f => f.id === id);
+}
+
+/**
+ * Star or unstar an item
+ * @param {Object} item - { id, type, title, arabic, text, reference, link }
+ * @returns {boolean} Whether the item is now saved
+ */
+export function toggleFavorite(item) {
+    if (isFavorite(item.id)) {
+        removeFavorite(item.id);
+        return false;
+    }
+
+    favorites = [...favorites, { note: '', ...item, savedAt: new Date().toISOString() }];
+    saveFavorites();
+    notifyChange();
+    return true;
+}
+
+/**
+ * Remove a saved item
+ * @param {string} id
+ */
+export function removeFavorite(id) {
+    favorites = favorites.filter(f => f.id !== id);
+    saveFavorites();
+    notifyChange();
+}
+
+/**
+ * Set the note on a saved item
+ * Stars are unchanged, so no change event: the view keeps its focus while typing
+ * @param {string} id
+ * @param {string} note
+ */
+export function setFavoriteNote(id, note) {
+    favorites = favorites.map(f => f.id === id ? { ...f, note } : f);
+    saveFavorites();
+}
+
+/**
+ * Escape text for HTML
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+/**
+ * Render the "Kaydsan" view, grouped by type
+ * @param {HTMLElement} container
+ */
+export function renderFavorites(container) {
+    if (!container) return;
+
+    if (!favorites.length) {
+        container.innerHTML = `
+            <p class="favorites-empty">Weli waxba ma kaydin. Ku dhufo ☆ cibrada, du'ada ama lambarka aayad kasta si aad halkan ugu keydiso.</p>
+        `;
+        return;
+    }
+
+    container.innerHTML = Object.entries(FAVORITE_TYPES).map(([type, label]) => {
+        const items = getFavorites(type);
+        if (!items.length) return '';
+
+        return `
+            <div class="favorites-group">
+                <h3 class="favorites-group-label">${label} <span>${items.length}</span></h3>
+                ${items.map(item => `
+                    <article class="favorite-item" data-id="${escapeHtml(item.id)}">
+                        <div class="favorite-head">
+                            <span class="favorite-title">${escapeHtml(item.title || '')}</span>
+                            <div class="favorite-actions">
+                                <a class="favorite-open" href="${escapeHtml(item.link)}">Fur</a>
+                                <button class="favorite-remove" aria-label="Ka saar">×</button>
+                            </div>
+                        </div>
+                        <p class="favorite-arabic" dir="rtl">${escapeHtml(item.arabic || '')}</p>
+                        ${item.reference ? `<span class="favorite-ref">${escapeHtml(item.reference)}</span>` : ''}
+                        ${item.text ? `<p class="favorite-text">${escapeHtml(item.text)}</p>` : ''}
+                        <textarea class="favorite-note" rows="2" placeholder="Qoraal gaaban…">${escapeHtml(item.note || '')}</textarea>
+                    </article>
+                `).join('')}
+            </div>
+        `;
+    }).join('');
+
+    container.querySelectorAll('.favorite-item').forEach(el => {
+        const { id } = el.dataset;
+
+        el.querySelector('.favorite-remove').addEventListener('click', () => removeFavorite(id));
+        el.querySelector('.favorite-note').addEventListener('input', (e) => setFavoriteNote(id, e.target.value));
+    });
+}
+
+/**
+ * Initialize the "Kaydsan" view
+ */
+export function initFavorites() {
+    const container = document.getElementById('favorites-list');
+    if (!container) return;
+
+    renderFavorites(container);
+    window.addEventListener(FAVORITES_EVENT, () => renderFavorites(container));
+}
+
+export default {
+    FAVORITES_EVENT,
+    FAVORITE_TYPES,
+    getCibroLink,
+    getAyahLink,
+    getFavorites,
+    isFavorite,
+    toggleFavorite,
+    removeFavorite,
+    setFavoriteNote,
+    renderFavorites,
+    initFavorites
+};
@@ -0,0 +1,254 @@
+/**
+ * Hijri Calendar Module - Gregorian ↔ Hijri conversion
+ * Supports the tabular (arithmetic) calendar and Umm al-Qura
+ */
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+// Julian Day Number of the Hijri epoch (1 Muharram 1 AH, civil reckoning)
+const HIJRI_EPOCH_JDN = 1948440;
+
+// Umm al-Qura table: JDN of 1 Muharram 1400 AH, then one entry per year.
+// Bit (m - 1) of each entry is set when month m has 30 days, else 29.
+const UMM_AL_QURA_START_YEAR = 1400;
+const UMM_AL_QURA_START_JDN = 2444199;
+const UMM_AL_QURA_MONTHS = [
+    0xaa5, 0xa4b, 0x497, 0x937, 0x2b6, 0x975, 0xd69, 0xd52, 0xc95, 0x92b,
+    0x25b, 0x4db, 0x9d5, 0x5d2, 0xda5, 0xd4a, 0xa95, 0x54d, 0xaad, 0x3aa,
+    0xbd2, 0xbc4, 0xb89, 0xa95, 0x52d, 0x5ad, 0xb6a, 0x6d4, 0xdc9, 0xd92,
+    0xaa6, 0x956, 0x2ae, 0x56d, 0x36a, 0xb55, 0xaaa, 0x94d, 0x49d, 0x95d,
+    0x2ba, 0x5b5, 0x5aa, 0xd55, 0xa9a, 0x92e, 0x26e, 0x55d, 0xada, 0x6d4,
+    0x6a5, 0xb27, 0xa4d, 0x4ad, 0x56d, 0xb5a, 0x754, 0xf49, 0xe92, 0xd26,
+    0xa56, 0x356, 0x6b5, 0xbaa, 0xb92, 0xb25, 0x68b, 0xa9b, 0x55a, 0xada,
+    0x5b4, 0xda9, 0xb52, 0xa9a, 0x536, 0x276, 0x575, 0xaf2, 0x6d4, 0x6a9,
+    0x555, 0x2ad, 0x4bd, 0x9ba, 0x574, 0xb69, 0xb52, 0xa95, 0x52d, 0xa5d,
+    0x4da, 0xad9, 0x6b2, 0xe95, 0xe2a, 0xc96, 0x92e, 0xaad, 0x56a, 0xd65,
+    0xd4a
+];
+
+export const METHODS = {
+    TABULAR: 'tabular',
+    UMM_AL_QURA: 'umm-al-qura'
+};
+
+export const HIJRI_MONTHS = [
+    'مُحَرَّم',
+    'صَفَر',
+    'رَبِيع الأَوَّل',
+    'رَبِيع الآخِر',
+    'جُمَادَى الأُولَى',
+    'جُمَادَى الآخِرَة',
+    'رَجَب',
+    'شَعْبَان',
+    'رَمَضَان',
+    'شَوَّال',
+    'ذُو القَعْدَة',
+    'ذُو الحِجَّة'
+];
+
+export const RAMADAN_MONTH = 9;
+
+/**
+ * Julian Day Number for a Gregorian calendar date
+ * @param {number} year
+ * @param {number} month - 1-12
+ * @param {number} day
+ * @returns {number}
+ */
+export function gregorianToJdn(year, month, day) {
+    const a = Math.floor((14 - month) / 12);
+    const y = year + 4800 - a;
+    const m = month + 12 * a - 3;
+
+    return day + Math.floor((153 * m + 2) / 5) + 365 * y +
+        Math.floor(y / 4) - Math.floor(y / 100) + Math.floor(y / 400) - 32045;
+}
+
+/**
+ * Gregorian calendar date for a Julian Day Number
+ * @param {number} jdn
+ * @returns {Object} { year, month, day }
+ */
+export function jdnToGregorian(jdn) {
+    const a = jdn + 32044;
+    const b = Math.floor((4 * a + 3) / 146097);
+    const c = a - Math.floor(146097 * b / 4);
+    const d = Math.floor((4 * c + 3) / 1461);
+    const e = c - Math.floor(1461 * d / 4);
+    const m = Math.floor((5 * e + 2) / 153);
+
+    return {
+        year: 100 * b + d - 4800 + Math.floor(m / 10),
+        month: m + 3 - 12 * Math.floor(m / 10),
+        day: e - Math.floor((153 * m + 2) / 5) + 1
+    };
+}
+
+/**
+ * JDN for a tabular Hijri date
+ */
+function tabularToJdn(year, month, day) {
+    return day +
+        Math.ceil(29.5 * (month - 1)) +
+        (year - 1) * 354 +
+        Math.floor((3 + 11 * year) / 30) +
+        HIJRI_EPOCH_JDN - 1;
+}
+
+/**
+ * Tabular Hijri date for a JDN
+ */
+function jdnToTabular(jdn) {
+    const year = Math.floor((30 * (jdn - HIJRI_EPOCH_JDN) + 10646) / 10631);
+    const month = Math.min(12, Math.ceil((jdn - 29 - tabularToJdn(year, 1, 1)) / 29.5) + 1);
+    const day = jdn - tabularToJdn(year, month, 1) + 1;
+
+    return { year, month, day };
+}
+
+/**
+ * Whether a Hijri year is covered by the Umm al-Qura table
+ */
+function inUmmAlQuraRange(year) {
+    return year >= UMM_AL_QURA_START_YEAR &&
+        year < UMM_AL_QURA_START_YEAR + UMM_AL_QURA_MONTHS.length;
+}
+
+/**
+ * Days in an Umm al-Qura month (table lookup)
+ */
+function ummAlQuraMonthLength(year, month) {
+    const bits = UMM_AL_QURA_MONTHS[year - UMM_AL_QURA_START_YEAR];
+    return (bits >> (month - 1)) & 1 ? 30 : 29;
+}
+
+/**
+ * Days in an Umm al-Qura year (table lookup)
+ */
+function ummAlQuraYearLength(year) {
+    let length = 0;
+    for (let m = 1; m <= 12; m++) {
+        length += ummAlQuraMonthLength(year, m);
+    }
+    return length;
+}
+
+/**
+ * JDN for an Umm al-Qura date, falling back to tabular outside the table
+ */
+function ummAlQuraToJdn(year, month, day) {
+    if (!inUmmAlQuraRange(year)) return tabularToJdn(year, month, day);
+
+    let jdn = UMM_AL_QURA_START_JDN;
+    for (let y = UMM_AL_QURA_START_YEAR; y < year; y++) {
+        jdn += ummAlQuraYearLength(y);
+    }
+    for (let m = 1; m < month; m++) {
+        jdn += ummAlQuraMonthLength(year, m);
+    }
+
+    return jdn + day - 1;
+}
+
+/**
+ * Umm al-Qura date for a JDN, falling back to tabular outside the table
+ */
+function jdnToUmmAlQura(jdn) {
+    if (jdn < UMM_AL_QURA_START_JDN) return jdnToTabular(jdn);
+
+    let remaining = jdn - UMM_AL_QURA_START_JDN;
+    let year = UMM_AL_QURA_START_YEAR;
+
+    while (remaining >= ummAlQuraYearLength(year)) {
+        remaining -= ummAlQuraYearLength(year);
+        year++;
+        if (!inUmmAlQuraRange(year)) return jdnToTabular(jdn);
+    }
+
+    let month = 1;
+    while (remaining >= ummAlQuraMonthLength(year, month)) {
+        remaining -= ummAlQuraMonthLength(year, month);
+        month++;
+    }
+
+    return { year, month, day: remaining + 1 };
+}
+
+/**
+ * Number of days in a Hijri month
+ * @param {number} year - Hijri year
+ * @param {number} month - Hijri month (1-12)
+ * @param {string} method - Calculation method
+ * @returns {number} 29 or 30
+ */
+export function getHijriMonthLength(year, month, method = METHODS.UMM_AL_QURA) {
+    if (method === METHODS.UMM_AL_QURA && inUmmAlQuraRange(year)) {
+        return ummAlQuraMonthLength(year, month);
+    }
+
+    const next = month === 12 ? [year + 1, 1] : [year, month + 1];
+    return tabularToJdn(next[0], next[1], 1) - tabularToJdn(year, month, 1);
+}
+
+/**
+ * Convert a Gregorian date to Hijri (uses the local calendar day)
+ * @param {Date} date
+ * @param {string} method - Calculation method
+ * @returns {Object} { year, month, day }
+ */
+export function toHijri(date, method = METHODS.UMM_AL_QURA) {
+    const jdn = gregorianToJdn(date.getFullYear(), date.getMonth() + 1, date.getDate());
+
+    return method === METHODS.UMM_AL_QURA ? jdnToUmmAlQura(jdn) : jdnToTabular(jdn);
+}
+
+/**
+ * Convert a Hijri date to a Gregorian Date at local midnight
+ * @param {number} year - Hijri year
+ * @param {number} month - Hijri month (1-12)
+ * @param {number} day - Hijri day
+ * @param {string} method - Calculation method
+ * @returns {Date}
+ */
+export function toGregorian(year, month, day, method = METHODS.UMM_AL_QURA) {
+    const jdn = method === METHODS.UMM_AL_QURA
+        ? ummAlQuraToJdn(year, month, day)
+        : tabularToJdn(year, month, day);
+    const g = jdnToGregorian(jdn);
+
+    return new Date(g.year, g.month - 1, g.day);
+}
+
+/**
+ * Whole calendar days between two dates (local time, DST safe)
+ * @param {Date} from
+ * @param {Date} to
+ * @returns {number}
+ */
+export function daysBetween(from, to) {
+    const a = Date.UTC(from.getFullYear(), from.getMonth(), from.getDate());
+    const b = Date.UTC(to.getFullYear(), to.getMonth(), to.getDate());
+    return Math.round((b - a) / MS_PER_DAY);
+}
+
+/**
+ * Format a Hijri date for display
+ * @param {Object} hijri - { year, month, day }
+ * @returns {string}
+ */
+export function formatHijri(hijri) {
+    return `${hijri.day} ${HIJRI_MONTHS[hijri.month - 1]} ${hijri.year}`;
+}
+
+export default {
+    METHODS,
+    HIJRI_MONTHS,
+    RAMADAN_MONTH,
+    gregorianToJdn,
+    jdnToGregorian,
+    getHijriMonthLength,
+    toHijri,
+    toGregorian,
+    daysBetween,
+    formatHijri
+};
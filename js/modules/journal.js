@@ -0,0 +1,320 @@
+/**
+ * Journal Module - Private notes answering each day's reflection
+ * Entries live in IndexedDB, which service-worker cache clears never touch
+ */
+
+// IndexedDB database
+const DB_NAME = 'hadiye';
+const DB_VERSION = 1;
+const STORE = 'journal';
+
+// Autosave delay after the last keystroke, in ms
+const AUTOSAVE_DELAY = 600;
+
+// Mood / intention tags
+export const JOURNAL_TAGS = [
+    { id: 'niyad', label: 'Niyad' },
+    { id: 'shukri', label: 'Mahadnaq' },
+    { id: 'tawbad', label: 'Toobad' },
+    { id: 'rajo', label: 'Rajo' },
+    { id: 'sabar', label: 'Samir' }
+];
+
+let dbPromise = null;
+
+// Pending autosave for the entry being edited
+let pendingSave = null;
+
+// Bumped by every render, so an older render still awaiting storage gives way
+let renderId = 0;
+
+/**
+ * Open (and upgrade) the database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDb() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+        if (!('indexedDB' in window)) {
+            reject(new Error('IndexedDB not supported'));
+            return;
+        }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(STORE)) {
+                const store = db.createObjectStore(STORE, { keyPath: 'id' });
+                store.createIndex('updatedAt', 'updatedAt');
+            }
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+    // Ask the browser not to evict local data under storage pressure
+    navigator.storage?.persist?.().catch(() => {});
+
+    return dbPromise;
+}
+
+/**
+ * Run a request against the journal store
+ * @param {string} mode - 'readonly' | 'readwrite'
+ * @param {Function} action - Receives the store, returns an IDBRequest
+ * @returns {Promise<*>} Request result
+ */
+async function withStore(mode, action) {
+    const db = await openDb();
+
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(STORE, mode);
+        const request = action(tx.objectStore(STORE));
+        tx.oncomplete = () => resolve(request.result);
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+/**
+ * Entry id for a reflection day
+ * @param {number} hijriYear
+ * @param {number|string|null} day - Ramadan day, year-round content key, or null for preparation
+ * @returns {string}
+ */
+function getEntryId(hijriYear, day) {
+    return `${hijriYear}-${day || 'preparation'}`;
+}
+
+/**
+ * Get the entry for a reflection day
+ * @param {number} hijriYear
+ * @param {number|string|null} day
+ * @returns {Promise<Object|null>} Entry
+ */
+export async function getEntry(hijriYear, day) {
+    try {
+        return (await withStore('readonly', store => store.get(getEntryId(hijriYear, day)))) || null;
+    } catch (error) {
+        console.error('Failed to load journal entry:', error);
+        return null;
+    }
+}
+
+/**
+ * Get all entries, newest first
+ * @returns {Promise<Array>} Entries
+ */
+export async function getAllEntries() {
+    try {
+        const entries = await withStore('readonly', store => store.getAll());
+        return entries.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    } catch (error) {
+        console.error('Failed to load journal:', error);
+        return [];
+    }
+}
+
+/**
+ * Save an entry; an empty entry is deleted
+ * @param {Object} entry - { hijriYear, day, text, tag, ayah, surah, title }
+ * @returns {Promise<boolean>} Success
+ */
+export async function saveEntry(entry) {
+    const id = getEntryId(entry.hijriYear, entry.day);
+
+    try {
+        if (!entry.text.trim() && !entry.tag) {
+            await withStore('readwrite', store => store.delete(id));
+            return true;
+        }
+
+        const existing = await getEntry(entry.hijriYear, entry.day);
+        const now = new Date().toISOString();
+
+        await withStore('readwrite', store => store.put({
+            ...entry,
+            id,
+            createdAt: existing?.createdAt || now,
+            updatedAt: now
+        }));
+        return true;
+    } catch (error) {
+        console.error('Failed to save journal entry:', error);
+        return false;
+    }
+}
+
+/**
+ * Write any pending autosave immediately
+ * @returns {Promise<void>}
+ */
+export async function flushJournal() {
+    if (!pendingSave) return;
+
+    const { timer, save } = pendingSave;
+    pendingSave = null;
+    clearTimeout(timer);
+    await save();
+}
+
+/**
+ * Escape text for HTML
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+/**
+ * Timeline label of an entry, e.g. "Ramadaan 5, 1447" or "Jimce, 1448"
+ * @param {Object} entry
+ * @returns {string}
+ */
+function getEntryLabel(entry) {
+    if (entry.title) return `${entry.title}, ${entry.hijriYear}`;
+    return entry.day ? `Ramadaan ${entry.day}, ${entry.hijriYear}` : `Diyaargarow ${entry.hijriYear}`;
+}
+
+/**
+ * Render the journal timeline
+ * @param {HTMLElement} container
+ */
+async function renderTimeline(container) {
+    const entries = await getAllEntries();
+
+    if (!entries.length) {
+        container.innerHTML = '<p class="journal-empty">Weli wax lama qorin.</p>';
+        return;
+    }
+
+    container.innerHTML = entries.map(entry => {
+        const tag = JOURNAL_TAGS.find(t => t.id === entry.tag);
+        return `
+            <article class="journal-item">
+                <div class="journal-item-ayah">
+                    <p class="journal-item-arabic">${escapeHtml(entry.ayah || '')}</p>
+                    <span class="journal-item-ref">${escapeHtml(entry.surah || '')}</span>
+                </div>
+                <div class="journal-item-body">
+                    <div class="journal-item-meta">
+                        <span>${escapeHtml(getEntryLabel(entry))}</span>
+                        ${tag ? `<span class="journal-tag active">${tag.label}</span>` : ''}
+                    </div>
+                    <p class="journal-item-text">${escapeHtml(entry.text)}</p>
+                </div>
+            </article>
+        `;
+    }).join('');
+}
+
+/**
+ * Render the journal editor for a reflection
+ * @param {HTMLElement} container
+ * @param {Object} reflection - From getDailyReflection()
+ * @param {number} hijriYear - Ramadan the reflection belongs to
+ */
+export async function renderJournal(container, reflection, hijriYear) {
+    if (!container) return;
+
+    const id = ++renderId;
+
+    // Never lose the previous day's last keystrokes
+    await flushJournal();
+    if (id !== renderId) return;
+
+    // Year-round content is keyed by its Hijri date, e.g. "jumuah-4-12"
+    const day = reflection.type === 'daily' ? reflection.day : reflection.key || null;
+    const entry = await getEntry(hijriYear, day);
+    if (id !== renderId) return;
+    let tag = entry?.tag || null;
+
+    container.innerHTML = `
+        <div class="journal-header">
+            <h3 class="journal-label">Xusuusqorkaaga</h3>
+            <span class="journal-status" data-journal-status></span>
+        </div>
+        <div class="journal-tags">
+            ${JOURNAL_TAGS.map(t => `
+                <button class="journal-tag ${t.id === tag ? 'active' : ''}" data-tag="${t.id}">${t.label}</button>
+            `).join('')}
+        </div>
+        <textarea class="journal-text" data-journal-text rows="4"
+            placeholder="Maxaad ka qaadatay cibrada maanta? Maxaad doonaysaa Ramadaankan?"></textarea>
+        <button class="journal-toggle" data-journal-toggle aria-expanded="false">Eeg dhammaan qoraallada</button>
+        <div class="journal-timeline" data-journal-timeline hidden></div>
+    `;
+
+    const textEl = container.querySelector('[data-journal-text]');
+    const statusEl = container.querySelector('[data-journal-status]');
+    const timelineEl = container.querySelector('[data-journal-timeline]');
+    const toggleBtn = container.querySelector('[data-journal-toggle]');
+
+    textEl.value = entry?.text || '';
+
+    const save = async () => {
+        const ok = await saveEntry({
+            hijriYear,
+            day,
+            text: textEl.value,
+            tag,
+            ayah: reflection.ayah,
+            surah: reflection.surah,
+            title: reflection.title
+        });
+        statusEl.textContent = ok ? 'La kaydiyay ✓' : 'Lama kaydin';
+
+        if (!timelineEl.hidden) renderTimeline(timelineEl);
+    };
+
+    const scheduleSave = () => {
+        statusEl.textContent = '…';
+        if (pendingSave) clearTimeout(pendingSave.timer);
+        pendingSave = { timer: setTimeout(flushJournal, AUTOSAVE_DELAY), save };
+    };
+
+    textEl.addEventListener('input', scheduleSave);
+    textEl.addEventListener('blur', flushJournal);
+
+    container.querySelectorAll('.journal-tag').forEach(btn => {
+        btn.addEventListener('click', () => {
+            tag = tag === btn.dataset.tag ? null : btn.dataset.tag;
+            container.querySelectorAll('.journal-tag').forEach(b =>
+                b.classList.toggle('active', b.dataset.tag === tag));
+            scheduleSave();
+            flushJournal();
+        });
+    });
+
+    toggleBtn.addEventListener('click', async () => {
+        const open = timelineEl.hidden;
+        timelineEl.hidden = !open;
+        toggleBtn.setAttribute('aria-expanded', String(open));
+        toggleBtn.textContent = open ? 'Qari qoraallada' : 'Eeg dhammaan qoraallada';
+        if (open) await renderTimeline(timelineEl);
+    });
+}
+
+/**
+ * Save pending edits before the page is hidden
+ */
+export function initJournal() {
+    document.addEventListener('visibilitychange', () => {
+        if (document.hidden) flushJournal();
+    });
+}
+
+export default {
+    JOURNAL_TAGS,
+    getEntry,
+    getAllEntries,
+    saveEntry,
+    flushJournal,
+    renderJournal,
+    initJournal
+};
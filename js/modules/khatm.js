@@ -0,0 +1,458 @@
+/**
+ * Khatm Module - Plan to complete the Quran during Ramadan
+ * Splits the mushaf into daily portions and rebalances what is left after missed days
+ */
+
+import { getAllSurahs, AYAHS_READ_EVENT } from './quran.js';
+import { getQuranMeta } from './mushaf.js';
+import { getCurrentRamadanDay, getUpcomingRamadan } from './ramadan.js';
+import { getAyahLink } from './favorites.js';
+
+// Storage key
+const STORAGE_KEY = 'hadiye_khatm';
+
+// Plan lengths
+export const KHATM_PLANS = {
+    month30: { days: 30, khatms: 1, label: '30 maalmood' },
+    month29: { days: 29, khatms: 1, label: '29 maalmood' },
+    double: { days: 30, khatms: 2, label: '2 khatmi (30 maalmood)' }
+};
+
+// Units the mushaf is split by
+export const KHATM_UNITS = {
+    juz: { label: "Juz'", decimals: 1 },
+    page: { label: 'Bog', decimals: 0 },
+    ayah: { label: 'Aayad', decimals: 0 }
+};
+
+// { plan, unit, year, read: [[[from, to]]] per khatm, today: { day, completed } }
+let state = loadState();
+
+// Ayah layout of the mushaf, built once from the surah index
+let layout = null;
+
+/**
+ * Load khatm state from localStorage
+ * @returns {Object}
+ */
+function loadState() {
+    const defaults = { plan: 'month30', unit: 'juz', year: null, read: [], today: null };
+
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        return saved ? { ...defaults, ...saved } : defaults;
+    } catch (error) {
+        return defaults;
+    }
+}
+
+/**
+ * Save khatm state to localStorage
+ */
+function saveState() {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+    } catch (error) {
+        console.error('Failed to save khatm plan:', error);
+    }
+}
+
+/**
+ * Start a fresh plan when a new Ramadan begins
+ * Progress is kept after Eid until then, so the last khatm stays on show
+ */
+function ensureYear() {
+    if (!getCurrentRamadanDay()) return;
+
+    const { hijriYear } = getUpcomingRamadan();
+    if (state.year === hijriYear) return;
+
+    state = { ...state, year: hijriYear, read: [], today: null };
+    saveState();
+}
+
+/**
+ * Number every ayah of the mushaf 1..total and find where each unit starts
+ * @returns {Promise<Object|null>} { total, surahStarts, surahs, starts: { juz, page, ayah } }
+ */
+async function getLayout() {
+    if (layout) return layout;
+
+    const [surahs, meta] = await Promise.all([getAllSurahs(), getQuranMeta()]);
+    if (!surahs.length || !meta) return null;
+
+    const surahStarts = [];
+    let total = 0;
+    surahs.forEach(s => {
+        surahStarts[s.n] = total + 1;
+        total += s.c;
+    });
+
+    const toId = ([surah, ayah]) => surahStarts[surah] + ayah - 1;
+
+    layout = {
+        total,
+        surahs,
+        surahStarts,
+        starts: {
+            juz: meta.juz.map(toId),
+            page: meta.pages.map(toId),
+            ayah: Array.from({ length: total }, (_, i) => i + 1)
+        }
+    };
+
+    return layout;
+}
+
+/**
+ * Convert a mushaf-wide ayah number back to surah and ayah
+ * @param {Object} quran - From getLayout()
+ * @param {number} id - Ayah number 1..total
+ * @returns {Object} { surah, name, ayah }
+ */
+function fromAyahId(quran, id) {
+    const surah = quran.surahs.find(s => id < quran.surahStarts[s.n] + s.c);
+    return { surah: surah.n, name: surah.name, ayah: id - quran.surahStarts[surah.n] + 1 };
+}
+
+/**
+ * Add a range to a sorted list of merged ranges
+ * @param {Array} ranges - [[from, to]]
+ * @param {number} from
+ * @param {number} to
+ * @returns {Array}
+ */
+function addRange(ranges, from, to) {
+    const merged = [];
+
+    ranges.forEach(([a, b]) => {
+        if (b < from - 1 || a > to + 1) {
+            merged.push([a, b]);
+        } else {
+            from = Math.min(from, a);
+            to = Math.max(to, b);
+        }
+    });
+
+    merged.push([from, to]);
+    return merged.sort((x, y) => x[0] - y[0]);
+}
+
+/**
+ * Count the ayahs of a range already in a list of ranges
+ * @param {Array} ranges - [[from, to]]
+ * @param {number} from
+ * @param {number} to
+ * @returns {number}
+ */
+function countRead(ranges, from, to) {
+    return ranges.reduce((sum, [a, b]) => sum + Math.max(0, Math.min(b, to) - Math.max(a, from) + 1), 0);
+}
+
+/**
+ * Record ayahs as read
+ * Each ayah counts towards the first khatm that hasn't had it yet
+ * @param {number} from - Ayah number 1..total
+ * @param {number} to - Ayah number 1..total
+ */
+function markRead(from, to) {
+    const { khatms } = KHATM_PLANS[state.plan];
+    const read = Array.from({ length: khatms }, (_, i) => state.read[i] || []);
+
+    for (let id = from; id <= to; id++) {
+        const round = read.findIndex(ranges => !countRead(ranges, id, id));
+        if (round >= 0) read[round] = addRange(read[round], id, id);
+    }
+
+    state = { ...state, read };
+    saveState();
+}
+
+/**
+ * Units in the whole plan, across every khatm
+ * @param {Object} quran - From getLayout()
+ * @returns {Array} [{ index, round, number, from, to }]
+ */
+function getUnits(quran) {
+    const starts = quran.starts[state.unit];
+    const { khatms } = KHATM_PLANS[state.plan];
+    const units = [];
+
+    for (let round = 0; round < khatms; round++) {
+        starts.forEach((from, i) => {
+            const to = (starts[i + 1] || quran.total + 1) - 1;
+            units.push({ index: units.length, round, number: i + 1, from, to });
+        });
+    }
+
+    return units;
+}
+
+/**
+ * Units completed so far, counting partly read units as fractions
+ * @param {Array} units - From getUnits()
+ * @returns {number}
+ */
+function getCompleted(units) {
+    return units.reduce((sum, unit) => {
+        const read = countRead(state.read[unit.round] || [], unit.from, unit.to);
+        return sum + read / (unit.to - unit.from + 1);
+    }, 0);
+}
+
+/**
+ * Format a number of units
+ * @param {number} value
+ * @returns {string}
+ */
+function formatUnits(value) {
+    const { decimals } = KHATM_UNITS[state.unit];
+    return String(Number(value.toFixed(decimals)));
+}
+
+/**
+ * Work out today's portion and how the reader stands against the plan
+ * Today's portion spreads what is left evenly over the days remaining,
+ * so missed days are made up a little at a time rather than all at once
+ * @returns {Promise<Object|null>}
+ */
+export async function getKhatmPlan() {
+    const quran = await getLayout();
+    if (!quran) return null;
+
+    ensureYear();
+
+    const plan = KHATM_PLANS[state.plan];
+    const units = getUnits(quran);
+    const total = units.length;
+    const completed = getCompleted(units);
+    const ramadanDay = getCurrentRamadanDay();
+
+    // Before Ramadan the plan is shown as it will start
+    const day = ramadanDay || 1;
+
+    // Freeze where today started, so the portion doesn't move while reading it
+    if (ramadanDay && state.today?.day !== ramadanDay) {
+        state = { ...state, today: { day: ramadanDay, completed } };
+        saveState();
+    }
+
+    const startCompleted = ramadanDay ? state.today.completed : completed;
+    const daysLeft = plan.days - day + 1;
+    const finished = completed >= total - 1e-9;
+
+    let portion = null;
+    if (!finished && daysLeft > 0) {
+        const target = startCompleted + (total - startCompleted) / daysLeft;
+        const first = Math.min(Math.floor(startCompleted), total - 1);
+        const last = Math.min(total, Math.max(first + 1, Math.round(target))) - 1;
+
+        const portionUnits = units.slice(first, last + 1);
+        const size = portionUnits.reduce((sum, u) => sum + u.to - u.from + 1, 0);
+        const read = portionUnits.reduce((sum, u) => sum + countRead(state.read[u.round] || [], u.from, u.to), 0);
+
+        portion = {
+            first: units[first],
+            last: units[last],
+            start: fromAyahId(quran, units[first].from),
+            end: fromAyahId(quran, units[last].to),
+            progress: read / size
+        };
+    }
+
+    // Where the plan expects the reader by the end of yesterday and of today
+    const expected = d => total * Math.min(d, plan.days) / plan.days;
+    let status = 'ontrack';
+    let difference = 0;
+
+    if (ramadanDay && completed < expected(day - 1)) {
+        status = 'behind';
+        difference = expected(day - 1) - completed;
+    } else if (ramadanDay && completed > expected(day)) {
+        status = 'ahead';
+        difference = completed - expected(day);
+    }
+
+    return {
+        plan,
+        unit: KHATM_UNITS[state.unit],
+        day: ramadanDay,
+        daysLeft,
+        total,
+        completed,
+        finished,
+        portion,
+        status,
+        difference
+    };
+}
+
+/**
+ * Escape text for HTML
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+/**
+ * Label a span of units, e.g. "Juz' 5–6" or "Bog 82–101 · Khatmiga 2aad"
+ * @param {Object} portion
+ * @param {Object} plan
+ * @returns {string}
+ */
+function getPortionLabel(portion, plan) {
+    const { first, last } = portion;
+    const label = KHATM_UNITS[state.unit].label;
+    const numbers = first.index === last.index ? `${first.number}` : `${first.number}–${last.number}`;
+    const round = plan.khatms > 1 ? ` · Khatmiga ${first.round + 1}aad` : '';
+
+    return `${label} ${numbers}${round}`;
+}
+
+/**
+ * Describe how the reader stands against the plan
+ * @param {Object} khatm - From getKhatmPlan()
+ * @returns {string}
+ */
+function getStatusText(khatm) {
+    const amount = `${formatUnits(khatm.difference)} ${khatm.unit.label.toLowerCase()}`;
+
+    if (khatm.status === 'behind') {
+        return `Waad ka dambeysaa ${amount}. Inta hartay waxaa loo qaybiyey ${khatm.daysLeft} maalmood ee haray.`;
+    }
+    if (khatm.status === 'ahead') {
+        return `Waad ka horreysaa ${amount}. Masha'Allah!`;
+    }
+    return 'Waad ku socotaa jadwalka.';
+}
+
+/**
+ * Render the khatm planner
+ * @param {HTMLElement} container
+ */
+export async function renderKhatm(container = document.getElementById('khatm-planner')) {
+    if (!container) return;
+
+    const khatm = await getKhatmPlan();
+    if (!khatm) {
+        container.innerHTML = '<p class="khatm-empty">Qorshaha lama soo rari karo hadda.</p>';
+        return;
+    }
+
+    const options = (items, selected) => Object.entries(items).map(([key, item]) =>
+        `<option value="${key}" ${key === selected ? 'selected' : ''}>${item.label}</option>`
+    ).join('');
+
+    const { portion } = khatm;
+    let today;
+
+    if (khatm.finished) {
+        today = `<p class="khatm-done">Khatmi ayaad dhammeysay! Allah ha kaa aqbalo. 🤲</p>`;
+    } else if (!portion) {
+        today = `<p class="khatm-done">Qorshaha ${khatm.plan.label} wuu dhammaaday.</p>`;
+    } else {
+        today = `
+            <span class="khatm-day">${khatm.day ? `Maanta · Maalinta ${khatm.day}` : 'Maalinta 1aad ee Ramadaan'}</span>
+            <h3 class="khatm-portion">${getPortionLabel(portion, khatm.plan)}</h3>
+            <p class="khatm-range" dir="rtl">
+                ${escapeHtml(portion.start.name)} ${portion.start.ayah} — ${escapeHtml(portion.end.name)} ${portion.end.ayah}
+            </p>
+            <div class="khatm-bar"><span style="width: ${Math.round(portion.progress * 100)}%"></span></div>
+            <a class="khatm-start" href="${getAyahLink(portion.start.surah, portion.start.ayah)}">Bilow akhriska</a>
+        `;
+    }
+
+    container.innerHTML = `
+        <div class="khatm-controls">
+            <label>
+                <span>Muddada</span>
+                <select id="khatm-plan-select">${options(KHATM_PLANS, state.plan)}</select>
+            </label>
+            <label>
+                <span>U qaybi</span>
+                <select id="khatm-unit-select">${options(KHATM_UNITS, state.unit)}</select>
+            </label>
+        </div>
+
+        <div class="khatm-today">${today}</div>
+
+        ${khatm.day ? `<p class="khatm-status ${khatm.status}">${getStatusText(khatm)}</p>` : `
+            <p class="khatm-status">Qorshuhu wuxuu bilaabmayaa marka Ramadaan galo. Aayadaha aad ka akhrido suuradaha ayaa markaas la tirin doonaa.</p>
+        `}
+
+        <div class="khatm-overall">
+            <span>Guud ahaan: ${formatUnits(khatm.completed)} / ${khatm.total} ${khatm.unit.label.toLowerCase()}</span>
+            <div class="khatm-bar"><span style="width: ${Math.round((khatm.completed / khatm.total) * 100)}%"></span></div>
+        </div>
+
+        <button class="khatm-reset" id="khatm-reset">Dib u bilow</button>
+    `;
+
+    container.querySelector('#khatm-plan-select').addEventListener('change', (e) => setKhatmOptions({ plan: e.target.value }));
+    container.querySelector('#khatm-unit-select').addEventListener('change', (e) => setKhatmOptions({ unit: e.target.value }));
+    container.querySelector('#khatm-reset').addEventListener('click', resetKhatm);
+}
+
+/**
+ * Change the plan length or unit
+ * Progress is kept; today's portion is worked out again
+ * @param {Object} options - { plan, unit }
+ */
+export function setKhatmOptions(options) {
+    const plan = KHATM_PLANS[options.plan] ? options.plan : state.plan;
+    const unit = KHATM_UNITS[options.unit] ? options.unit : state.unit;
+
+    state = { ...state, plan, unit, today: null };
+    saveState();
+    renderKhatm();
+}
+
+/**
+ * Clear all progress
+ */
+export function resetKhatm() {
+    if (!confirm('Ma hubtaa inaad dib u bilowdo khatmiga?')) return;
+
+    state = { ...state, read: [], today: null };
+    saveState();
+    renderKhatm();
+}
+
+/**
+ * Initialize the khatm planner
+ */
+export async function initKhatm() {
+    const container = document.getElementById('khatm-planner');
+    if (!container) return;
+
+    await renderKhatm(container);
+
+    // Progress comes from the ayahs actually read in the surah viewer
+    window.addEventListener(AYAHS_READ_EVENT, async (e) => {
+        if (!getCurrentRamadanDay()) return;
+
+        const quran = await getLayout();
+        if (!quran) return;
+
+        ensureYear();
+
+        const { surah, from, to } = e.detail;
+        const start = quran.surahStarts[surah];
+        markRead(start + from - 1, start + to - 1);
+        renderKhatm(container);
+    });
+}
+
+export default {
+    KHATM_PLANS,
+    KHATM_UNITS,
+    getKhatmPlan,
+    setKhatmOptions,
+    resetKhatm,
+    renderKhatm,
+    initKhatm
+};
@@ -0,0 +1,66 @@
+/**
+ * Language Module - Content language preference
+ * Somali is the default and the fallback for any missing translation
+ */
+
+// Storage key
+const STORAGE_KEY = 'hadiye_language';
+
+// Supported content languages
+export const LANGUAGES = {
+    so: { name: 'Soomaali', dir: 'ltr' },
+    en: { name: 'English', dir: 'ltr' },
+    ar: { name: 'العربية', dir: 'rtl' }
+};
+
+export const DEFAULT_LANGUAGE = 'so';
+
+/**
+ * Get the chosen content language
+ * @returns {string} Language code
+ */
+export function getLanguage() {
+    try {
+        const saved = localStorage.getItem(STORAGE_KEY);
+        return LANGUAGES[saved] ? saved : DEFAULT_LANGUAGE;
+    } catch (error) {
+        return DEFAULT_LANGUAGE;
+    }
+}
+
+/**
+ * Set the content language
+ * @param {string} code - Language code
+ */
+export function setLanguage(code) {
+    if (!LANGUAGES[code]) return;
+
+    try {
+        localStorage.setItem(STORAGE_KEY, code);
+    } catch (error) {
+        console.error('Failed to save language:', error);
+    }
+}
+
+/**
+ * Pick a translation from a localized field
+ * Plain strings are treated as Somali
+ * @param {string|Object} value - String or { so, en, ar }
+ * @param {string} code - Language code
+ * @returns {Object} { text, lang } with the language actually used
+ */
+export function localize(value, code = getLanguage()) {
+    if (!value) return { text: '', lang: DEFAULT_LANGUAGE };
+    if (typeof value === 'string') return { text: value, lang: DEFAULT_LANGUAGE };
+
+    if (value[code]) return { text: value[code], lang: code };
+    return { text: value[DEFAULT_LANGUAGE] || '', lang: DEFAULT_LANGUAGE };
+}
+
+export default {
+    LANGUAGES,
+    DEFAULT_LANGUAGE,
+    getLanguage,
+    setLanguage,
+    localize
+};
@@ -0,0 +1,190 @@
+/**
+ * Mushaf Module - Structural metadata of the Madani mushaf
+ * Juz and hizb-quarter boundaries, page starts, sajdah ayahs and Meccan/Medinan surahs
+ */
+
+// Number of each division in the Madani mushaf
+export const JUZ_COUNT = 30;
+export const HIZB_QUARTER_COUNT = 240;
+export const PAGE_COUNT = 604;
+export const SAJDAH_COUNT = 15;
+
+// Revelation labels
+export const SURAH_TYPES = {
+    meccan: 'Makki',
+    medinan: 'Madani'
+};
+
+// Hizb-quarter prefixes, for quarters 0-3 of a hizb
+const QUARTER_LABELS = ['', '¼ ', '½ ', '¾ '];
+
+// { source, surahs: [{ n, type }], juz, hizbQuarters, pages, sajdah } with [surah, ayah] starts
+let metaRequest = null;
+
+/**
+ * Load the mushaf metadata once
+ * @returns {Promise<Object|null>}
+ */
+export function getQuranMeta() {
+    if (!metaRequest) {
+        metaRequest = fetch('./data/quran/meta.json')
+            .then(response => {
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return response.json();
+            })
+            .catch(error => {
+                console.error('Failed to load mushaf metadata:', error);
+                // Let a later call retry
+                metaRequest = null;
+                return null;
+            });
+    }
+
+    return metaRequest;
+}
+
+/**
+ * Compare two [surah, ayah] positions
+ * @param {Array} a
+ * @param {Array} b
+ * @returns {number} Negative, zero or positive
+ */
+function comparePositions(a, b) {
+    return a[0] - b[0] || a[1] - b[1];
+}
+
+/**
+ * Label a hizb quarter, e.g. "½ Xisbi 5"
+ * @param {number} index - Quarter index, 0-based
+ * @returns {string}
+ */
+export function getHizbLabel(index) {
+    return `${QUARTER_LABELS[index % 4]}Xisbi ${Math.floor(index / 4) + 1}`;
+}
+
+/**
+ * Find the page an ayah is on
+ * @param {Object} meta - From getQuranMeta()
+ * @param {number} surah
+ * @param {number} ayah
+ * @returns {number} Page number, 1-based
+ */
+export function getPageOfAyah(meta, surah, ayah) {
+    let page = 0;
+    while (page + 1 < meta.pages.length && comparePositions(meta.pages[page + 1], [surah, ayah]) <= 0) page++;
+    return page + 1;
+}
+
+/**
+ * Collect what the viewer marks inside one surah
+ * @param {Object} meta - From getQuranMeta()
+ * @param {Object} surah - Surah index entry { n, c }
+ * @returns {Object} { type, markers: Map<ayah, [{ kind, label }]>, sajdah: Set<ayah>, pages: { first, last } }
+ */
+export function getSurahMarkers(meta, surah) {
+    const markers = new Map();
+    const add = (ayah, marker) => markers.set(ayah, [...(markers.get(ayah) || []), marker]);
+    const inSurah = list => list.map((pos, i) => ({ ayah: pos[1], i })).filter((_, i) => list[i][0] === surah.n);
+
+    const juzStarts = new Set();
+    inSurah(meta.juz).forEach(({ ayah, i }) => {
+        juzStarts.add(ayah);
+        add(ayah, { kind: 'juz', label: `Juz' ${i + 1}` });
+    });
+
+    // A juz always opens on a hizb; its marker is enough
+    inSurah(meta.hizbQuarters).forEach(({ ayah, i }) => {
+        if (!juzStarts.has(ayah)) add(ayah, { kind: 'hizb', label: getHizbLabel(i) });
+    });
+
+    return {
+        type: meta.surahs.find(s => s.n === surah.n)?.type || null,
+        markers,
+        sajdah: new Set(inSurah(meta.sajdah).map(({ ayah }) => ayah)),
+        pages: {
+            first: getPageOfAyah(meta, surah.n, 1),
+            last: getPageOfAyah(meta, surah.n, surah.c)
+        }
+    };
+}
+
+/**
+ * Check the metadata against the ayah counts of the surah index
+ * Every list must be complete, in mushaf order and point at ayahs that exist
+ * @param {Object} meta - Parsed meta.json
+ * @param {Array} surahs - Surah index entries { n, c }
+ * @returns {Array} [{ label, reference, level: 'error', message }]
+ */
+export function validateQuranMeta(meta, surahs) {
+    const issues = [];
+    const error = (label, reference, message) => issues.push({ label, reference, level: 'error', message });
+    const counts = new Map(surahs.map(s => [s.n, s.c]));
+
+    if (!meta) {
+        error('Mushaf', '', 'Metadata is missing');
+        return issues;
+    }
+
+    // Every surah classified once, in order
+    if (meta.surahs?.length !== surahs.length) {
+        error('Makki/Madani', `${meta.surahs?.length || 0}/${surahs.length}`, 'Surah count does not match the index');
+    }
+    (meta.surahs || []).forEach((s, i) => {
+        if (s.n !== surahs[i]?.n || !SURAH_TYPES[s.type]) {
+            error('Makki/Madani', String(s.n), 'Unknown surah or revelation type');
+        }
+    });
+
+    const lists = [
+        { key: 'juz', name: "Juz'", count: JUZ_COUNT, label: i => `Juz' ${i + 1}`, first: true },
+        { key: 'hizbQuarters', name: 'Xisbi', count: HIZB_QUARTER_COUNT, label: getHizbLabel, first: true },
+        { key: 'pages', name: 'Bog', count: PAGE_COUNT, label: i => `Bog ${i + 1}`, first: true },
+        { key: 'sajdah', name: 'Sajdah', count: SAJDAH_COUNT, label: i => `Sajdah ${i + 1}`, first: false }
+    ];
+
+    lists.forEach(({ key, name, count, label, first }) => {
+        const list = meta[key] || [];
+
+        if (list.length !== count) {
+            error(name, `${list.length}/${count}`, 'Wrong number of entries');
+        }
+
+        // Divisions cover the whole mushaf, so the first starts at 1:1
+        if (first && list.length && comparePositions(list[0], [1, 1]) !== 0) {
+            error(label(0), list[0].join(':'), 'Does not start at 1:1');
+        }
+
+        list.forEach((pos, i) => {
+            const [surah, ayah] = pos;
+
+            if (!counts.has(surah) || ayah < 1 || ayah > counts.get(surah)) {
+                error(label(i), pos.join(':'), 'Ayah does not exist');
+            } else if (i > 0 && comparePositions(list[i - 1], pos) >= 0) {
+                error(label(i), pos.join(':'), 'Out of mushaf order');
+            }
+        });
+    });
+
+    // Each juz is exactly eight hizb quarters
+    (meta.juz || []).forEach((pos, i) => {
+        const quarter = meta.hizbQuarters?.[i * 8];
+        if (!quarter || comparePositions(pos, quarter) !== 0) {
+            error(`Juz' ${i + 1}`, pos.join(':'), 'Does not begin a hizb');
+        }
+    });
+
+    return issues;
+}
+
+export default {
+    JUZ_COUNT,
+    HIZB_QUARTER_COUNT,
+    PAGE_COUNT,
+    SAJDAH_COUNT,
+    SURAH_TYPES,
+    getQuranMeta,
+    getHizbLabel,
+    getPageOfAyah,
+    getSurahMarkers,
+    validateQuranMeta
+};
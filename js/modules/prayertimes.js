@@ -0,0 +1,351 @@
+/**
+ * Prayer Times Module - Offline astronomical calculation
+ * Computes the five daily prayers from latitude/longitude with no network
+ */
+
+import { getNow } from './clock.js';
+
+// Storage key
+const STORAGE_KEY = 'hadiye_prayer';
+
+const MS_PER_HOUR = 1000 * 60 * 60;
+
+// Sun altitude at sunrise/sunset (refraction + solar radius)
+const SUNRISE_ANGLE = 0.833;
+
+/**
+ * Calculation methods: twilight angles in degrees, or Isha as minutes after Maghrib
+ */
+export const METHODS = {
+    MWL: { name: 'Muslim World League', fajr: 18, isha: 17 },
+    UmmAlQura: { name: 'Umm al-Qura, Makkah', fajr: 18.5, ishaMinutes: 90 },
+    Egyptian: { name: 'Egyptian General Authority', fajr: 19.5, isha: 17.5 },
+    ISNA: { name: 'Islamic Society of North America', fajr: 15, isha: 15 },
+    Karachi: { name: 'University of Islamic Sciences, Karachi', fajr: 18, isha: 18 }
+};
+
+/**
+ * Asr conventions: shadow length factor
+ */
+export const ASR_METHODS = {
+    standard: 1,  // Shafi'i, Maliki, Hanbali
+    hanafi: 2
+};
+
+// State
+let state = {
+    location: null,   // { latitude, longitude }
+    method: 'MWL',
+    asr: 'standard'
+};
+
+// Times already worked out for the saved location, by calendar day: Map<'Y-M-D', Object>
+// Several modules ask on every one-second tick, so each day is only calculated once
+const dayTimes = new Map();
+
+// Days kept in dayTimes
+const DAY_CACHE_SIZE = 8;
+
+/**
+ * Load state from localStorage
+ */
+function loadState() {
+    try {
+        const saved = localStorage.getItem(STORAGE_KEY);
+        if (saved) {
+            state = { ...state, ...JSON.parse(saved) };
+        }
+    } catch (error) {
+        console.error('Failed to load prayer settings:', error);
+    }
+}
+
+/**
+ * Save state to localStorage
+ */
+function saveState() {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+    } catch (error) {
+        console.error('Failed to save prayer settings:', error);
+    }
+}
+
+loadState();
+
+// Degree-based trigonometry helpers
+const dtr = d => (d * Math.PI) / 180;
+const rtd = r => (r * 180) / Math.PI;
+const sin = d => Math.sin(dtr(d));
+const cos = d => Math.cos(dtr(d));
+const tan = d => Math.tan(dtr(d));
+const arcsin = x => rtd(Math.asin(x));
+const arccos = x => rtd(Math.acos(x));
+const arctan2 = (y, x) => rtd(Math.atan2(y, x));
+const arccot = x => rtd(Math.atan(1 / x));
+const fix = (a, b) => a - b * Math.floor(a / b);
+const fixAngle = a => fix(a, 360);
+const fixHour = h => fix(h, 24);
+
+/**
+ * Julian date at 0h UTC of a Gregorian date
+ */
+function julian(year, month, day) {
+    if (month <= 2) {
+        year -= 1;
+        month += 12;
+    }
+    const a = Math.floor(year / 100);
+    const b = 2 - a + Math.floor(a / 4);
+
+    return Math.floor(365.25 * (year + 4716)) + Math.floor(30.6001 * (month + 1)) + day + b - 1524.5;
+}
+
+/**
+ * Sun declination and equation of time for a Julian date
+ */
+function sunPosition(jd) {
+    const d = jd - 2451545.0;
+    const g = fixAngle(357.529 + 0.98560028 * d);
+    const q = fixAngle(280.459 + 0.98564736 * d);
+    const l = fixAngle(q + 1.915 * sin(g) + 0.020 * sin(2 * g));
+    const e = 23.439 - 0.00000036 * d;
+    const ra = arctan2(cos(e) * sin(l), cos(l)) / 15;
+
+    return {
+        declination: arcsin(sin(e) * sin(l)),
+        equation: q / 15 - fixHour(ra)
+    };
+}
+
+/**
+ * Compute prayer times in UTC hours for one day
+ */
+function computeHours(jd, latitude, method, asrFactor) {
+    const midDay = t => fixHour(12 - sunPosition(jd + t).equation);
+
+    const sunAngleTime = (angle, t, ccw) => {
+        const { declination } = sunPosition(jd + t);
+        const noon = midDay(t);
+        const h = arccos((-sin(angle) - sin(declination) * sin(latitude)) /
+            (cos(declination) * cos(latitude))) / 15;
+        return noon + (ccw ? -h : h);
+    };
+
+    const asrTime = t => {
+        const { declination } = sunPosition(jd + t);
+        const angle = -arccot(asrFactor + tan(Math.abs(latitude - declination)));
+        return sunAngleTime(angle, t);
+    };
+
+    // Two passes: the first from rough guesses, the second refined by the first
+    let times = { fajr: 5, sunrise: 6, dhuhr: 12, asr: 13, sunset: 18, isha: 18 };
+
+    for (let i = 0; i < 2; i++) {
+        const p = key => times[key] / 24;
+        times = {
+            fajr: sunAngleTime(method.fajr, p('fajr'), true),
+            sunrise: sunAngleTime(SUNRISE_ANGLE, p('sunrise'), true),
+            dhuhr: midDay(p('dhuhr')),
+            asr: asrTime(p('asr')),
+            sunset: sunAngleTime(SUNRISE_ANGLE, p('sunset')),
+            isha: method.isha ? sunAngleTime(method.isha, p('isha')) : times.isha
+        };
+    }
+
+    times.maghrib = times.sunset;
+    if (method.ishaMinutes) {
+        times.isha = times.maghrib + method.ishaMinutes / 60;
+    }
+
+    return adjustHighLatitudes(times, method);
+}
+
+/**
+ * Angle-based adjustment for latitudes where twilight never ends
+ * Fajr/Isha are capped at a portion of the night proportional to the angle
+ */
+function adjustHighLatitudes(times, method) {
+    const night = fixHour(times.sunrise - times.sunset);
+
+    if (method.fajr) {
+        const portion = (method.fajr / 60) * night;
+        const diff = fixHour(times.sunrise - times.fajr);
+        if (isNaN(times.fajr) || diff > portion) {
+            times.fajr = times.sunrise - portion;
+        }
+    }
+
+    if (method.isha) {
+        const portion = (method.isha / 60) * night;
+        const diff = fixHour(times.isha - times.sunset);
+        if (isNaN(times.isha) || diff > portion) {
+            times.isha = times.sunset + portion;
+        }
+    }
+
+    return times;
+}
+
+/**
+ * Get prayer times for a date and location
+ * @param {Date} date - Local calendar day
+ * @param {Object} location - { latitude, longitude }
+ * @param {Object} options - { method, asr }
+ * @returns {Object} { fajr, sunrise, dhuhr, asr, maghrib, isha } as Date objects
+ */
+export function getPrayerTimes(date, location, options = {}) {
+    const { method = state.method, asr = state.asr } = options;
+    const { latitude, longitude } = location;
+
+    const year = date.getFullYear();
+    const month = date.getMonth() + 1;
+    const day = date.getDate();
+
+    const jd = julian(year, month, day) - longitude / (15 * 24);
+    const hours = computeHours(jd, latitude, METHODS[method] || METHODS.MWL, ASR_METHODS[asr] || 1);
+    const midnightUtc = Date.UTC(year, month - 1, day);
+
+    const result = {};
+    ['fajr', 'sunrise', 'dhuhr', 'asr', 'maghrib', 'isha'].forEach(name => {
+        const utcHours = hours[name] - longitude / 15;
+        result[name] = new Date(midnightUtc + utcHours * MS_PER_HOUR);
+    });
+
+    return result;
+}
+
+/**
+ * Get prayer times for today at the saved location
+ * @param {Date} date - Local calendar day, defaults to today
+ * @returns {Object|null} Prayer times or null if no location is set
+ */
+export function getTodayPrayerTimes(date = getNow()) {
+    if (!state.location) return null;
+
+    const key = `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`;
+    if (!dayTimes.has(key)) {
+        if (dayTimes.size >= DAY_CACHE_SIZE) dayTimes.delete(dayTimes.keys().next().value);
+        dayTimes.set(key, getPrayerTimes(date, state.location));
+    }
+
+    return dayTimes.get(key);
+}
+
+/**
+ * Get the next fasting boundary: Fajr (end of suhoor) or Maghrib (iftar)
+ * @param {Date} now - Reference time
+ * @returns {Object|null} { type: 'suhoor'|'iftar', time } or null without location
+ */
+export function getNextFastingEvent(now = getNow()) {
+    if (!state.location) return null;
+
+    const today = getTodayPrayerTimes(now);
+
+    if (now < today.fajr) return { type: 'suhoor', time: today.fajr };
+    if (now < today.maghrib) return { type: 'iftar', time: today.maghrib };
+
+    const tomorrow = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+    return { type: 'suhoor', time: getTodayPrayerTimes(tomorrow).fajr };
+}
+
+/**
+ * Get saved location
+ * @returns {Object|null} { latitude, longitude }
+ */
+export function getLocation() {
+    return state.location ? { ...state.location } : null;
+}
+
+/**
+ * Set location
+ * @param {Object} location - { latitude, longitude }
+ */
+export function setLocation(location) {
+    state.location = {
+        latitude: Number(location.latitude),
+        longitude: Number(location.longitude)
+    };
+    dayTimes.clear();
+    saveState();
+}
+
+/**
+ * Request the device position and save it
+ * @returns {Promise<Object>} Resolved location
+ */
+export function requestGeolocation() {
+    return new Promise((resolve, reject) => {
+        if (!navigator.geolocation) {
+            reject(new Error('Geolocation not supported'));
+            return;
+        }
+
+        navigator.geolocation.getCurrentPosition(
+            (position) => {
+                setLocation(position.coords);
+                resolve(getLocation());
+            },
+            reject,
+            { enableHighAccuracy: false, timeout: 15000, maximumAge: 24 * MS_PER_HOUR }
+        );
+    });
+}
+
+/**
+ * Get calculation settings
+ * @returns {Object} { method, asr }
+ */
+export function getCalculationSettings() {
+    return { method: state.method, asr: state.asr };
+}
+
+/**
+ * Set calculation method and/or Asr convention
+ * @param {Object} settings - { method, asr }
+ */
+export function setCalculationSettings(settings) {
+    if (settings.method && METHODS[settings.method]) state.method = settings.method;
+    if (settings.asr && ASR_METHODS[settings.asr]) state.asr = settings.asr;
+    dayTimes.clear();
+    saveState();
+}
+
+/**
+ * Format a time as HH:MM in local time
+ * @param {Date} date
+ * @returns {string}
+ */
+export function formatTime(date) {
+    const h = String(date.getHours()).padStart(2, '0');
+    const m = String(date.getMinutes()).padStart(2, '0');
+    return `${h}:${m}`;
+}
+
+/**
+ * Format a duration in milliseconds as H:MM:SS
+ * @param {number} ms
+ * @returns {string}
+ */
+export function formatDuration(ms) {
+    const total = Math.max(0, Math.floor(ms / 1000));
+    const h = Math.floor(total / 3600);
+    const m = String(Math.floor((total % 3600) / 60)).padStart(2, '0');
+    const s = String(total % 60).padStart(2, '0');
+    return `${h}:${m}:${s}`;
+}
+
+export default {
+    METHODS,
+    ASR_METHODS,
+    getPrayerTimes,
+    getTodayPrayerTimes,
+    getNextFastingEvent,
+    getLocation,
+    setLocation,
+    requestGeolocation,
+    getCalculationSettings,
+    setCalculationSettings,
+    formatTime,
+    formatDuration
+};
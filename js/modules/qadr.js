@@ -0,0 +1,189 @@
+/**
+ * Laylat al-Qadr Module - Night mode for the odd nights of the last ten
+ * Night N runs from Maghrib on the eve of Ramadan day N until Fajr
+ */
+
+import { getTodayPrayerTimes, formatTime, formatDuration } from './prayertimes.js';
+import { getNow } from './clock.js';
+
+// Storage key
+const STORAGE_KEY = 'hadiye_qadr';
+
+// Odd nights of the last ten
+export const QADR_NIGHTS = [21, 23, 25, 27, 29];
+
+// "O Allah, You are Pardoning and love to pardon, so pardon me"
+export const QADR_DUA = 'اللَّهُمَّ إِنَّكَ عَفُوٌّ تُحِبُّ الْعَفْوَ فَاعْفُ عَنِّي';
+
+export const QADR_DUA_MEANING = {
+    so: 'Allahow, adigu waxaad tahay cafiye jecel cafiska, ee i cafi.',
+    en: 'O Allah, You are Pardoning and love to pardon, so pardon me.'
+};
+
+// Suggested Tasbiix target for the dua
+export const QADR_DUA_TARGET = 100;
+
+// Worship checklist for the night
+const CHECKLIST = [
+    { id: 'qiyam', label: 'Qiyaamul Layl' },
+    { id: 'quran', label: "Akhriska Qur'aanka" },
+    { id: 'dua', label: "Du'o iyo dhikr" }
+];
+
+/**
+ * Whether a Ramadan day falls on an odd night of the last ten
+ * @param {number|null} day - Ramadan day
+ * @returns {boolean}
+ */
+export function isQadrNight(day) {
+    return QADR_NIGHTS.includes(day);
+}
+
+/**
+ * Get the current Laylat al-Qadr night window
+ * Without a location the whole odd day counts and there is no countdown
+ * @param {number|null} day - Current Ramadan day (rolls over at Maghrib)
+ * @param {Date} now - Reference time
+ * @returns {Object|null} { night, start, end } or null outside an odd night
+ */
+export function getQadrNight(day, now = getNow()) {
+    if (!isQadrNight(day)) return null;
+
+    const today = getTodayPrayerTimes(now);
+    if (!today) return { night: day, start: null, end: null };
+
+    // Evening: the night started at today's Maghrib and ends at tomorrow's Fajr
+    if (now >= today.maghrib) {
+        const tomorrow = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+        return { night: day, start: today.maghrib, end: getTodayPrayerTimes(tomorrow).fajr };
+    }
+
+    // Before dawn: the night started at yesterday's Maghrib
+    if (now < today.fajr) {
+        const yesterday = new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1);
+        return { night: day, start: getTodayPrayerTimes(yesterday).maghrib, end: today.fajr };
+    }
+
+    // Daytime after Fajr: the night has passed
+    return null;
+}
+
+/**
+ * Load all saved checklists
+ * @returns {Object} { [hijriYear]: { [night]: { [itemId]: boolean } } }
+ */
+function loadChecklists() {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch (error) {
+        console.error('Failed to load Qadr checklist:', error);
+        return {};
+    }
+}
+
+/**
+ * Get the checklist for one night
+ * @param {number} hijriYear
+ * @param {number} night
+ * @returns {Object} { [itemId]: boolean }
+ */
+export function getChecklist(hijriYear, night) {
+    return loadChecklists()[hijriYear]?.[night] || {};
+}
+
+/**
+ * Toggle a checklist item for one night
+ * @param {number} hijriYear
+ * @param {number} night
+ * @param {string} itemId
+ */
+export function toggleChecklistItem(hijriYear, night, itemId) {
+    const all = loadChecklists();
+    const year = all[hijriYear] || {};
+    const checklist = year[night] || {};
+
+    checklist[itemId] = !checklist[itemId];
+    year[night] = checklist;
+    all[hijriYear] = year;
+
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(all));
+    } catch (error) {
+        console.error('Failed to save Qadr checklist:', error);
+    }
+}
+
+/**
+ * Render the Laylat al-Qadr panel in the hero
+ * @param {HTMLElement} container
+ * @param {Object} status - From getRamadanStatus()
+ */
+export function renderQadrPanel(container, status) {
+    if (!container || !status.qadrNight) return;
+
+    const { night, start, end } = status.qadrNight;
+    const checklist = getChecklist(status.hijriYear, night);
+
+    container.innerHTML = `
+        <span class="qadr-title">لَيْلَةُ القَدْر · Habeenka ${night}aad</span>
+        ${end ? `
+            <div class="qadr-night">
+                <span class="qadr-value" data-qadr-value>${formatDuration(end - getNow())}</span>
+                <span class="qadr-label">ilaa Fajarka · ${formatTime(start)} – ${formatTime(end)}</span>
+                <div class="qadr-bar"><div class="qadr-bar-fill" data-qadr-fill></div></div>
+            </div>
+        ` : ''}
+        <ul class="qadr-checklist">
+            ${CHECKLIST.map(item => `
+                <li>
+                    <button class="qadr-item ${checklist[item.id] ? 'done' : ''}" data-item="${item.id}">
+                        <span class="qadr-check">${checklist[item.id] ? '✓' : ''}</span>
+                        ${item.label}
+                    </button>
+                </li>
+            `).join('')}
+        </ul>
+    `;
+
+    container.querySelectorAll('.qadr-item').forEach(btn => {
+        btn.addEventListener('click', () => {
+            toggleChecklistItem(status.hijriYear, night, btn.dataset.item);
+            renderQadrPanel(container, status);
+        });
+    });
+
+    updateQadrCountdown(container, status);
+}
+
+/**
+ * Tick the Maghrib-to-Fajr countdown
+ * @param {HTMLElement} container
+ * @param {Object} status - From getRamadanStatus()
+ */
+export function updateQadrCountdown(container, status) {
+    if (!container || !status.qadrNight?.end) return;
+
+    const { start, end } = status.qadrNight;
+    const now = getNow();
+    const valueEl = container.querySelector('[data-qadr-value]');
+    const fillEl = container.querySelector('[data-qadr-fill]');
+
+    if (valueEl) valueEl.textContent = formatDuration(end - now);
+    if (fillEl) {
+        const progress = Math.min(100, Math.max(0, ((now - start) / (end - start)) * 100));
+        fillEl.style.width = `${progress}%`;
+    }
+}
+
+export default {
+    QADR_NIGHTS,
+    QADR_DUA,
+    QADR_DUA_MEANING,
+    QADR_DUA_TARGET,
+    isQadrNight,
+    getQadrNight,
+    getChecklist,
+    toggleChecklistItem,
+    renderQadrPanel,
+    updateQadrCountdown
+};
@@ -0,0 +1,305 @@
+/**
+ * Qibla Module - Offline direction and distance to the Kaaba
+ * Great-circle bearing from the saved location, with a live compass where supported
+ */
+
+import { getLocation, setLocation, requestGeolocation } from './prayertimes.js';
+import { SETTINGS_EVENT } from './settings.js';
+
+// The Kaaba, Masjid al-Haram
+export const KAABA = { latitude: 21.422487, longitude: 39.826206 };
+
+// Mean Earth radius in kilometres
+const EARTH_RADIUS_KM = 6371;
+
+// Needle counts as aligned within this many degrees
+const ALIGN_TOLERANCE = 5;
+
+// Wait for a first heading before falling back to the static bearing, in ms
+// (desktop browsers expose DeviceOrientationEvent but never fire it)
+const COMPASS_TIMEOUT = 3000;
+
+// Active compass listener, if any
+let stopCompass = null;
+
+const dtr = d => (d * Math.PI) / 180;
+const rtd = r => (r * 180) / Math.PI;
+const normalize = a => ((a % 360) + 360) % 360;
+
+/**
+ * Initial great-circle bearing to the Kaaba
+ * @param {Object} location - { latitude, longitude }
+ * @returns {number} Degrees clockwise from true north (0-360)
+ */
+export function getQiblaBearing({ latitude, longitude }) {
+    const phi1 = dtr(latitude);
+    const phi2 = dtr(KAABA.latitude);
+    const deltaLambda = dtr(KAABA.longitude - longitude);
+
+    const y = Math.sin(deltaLambda) * Math.cos(phi2);
+    const x = Math.cos(phi1) * Math.sin(phi2) - Math.sin(phi1) * Math.cos(phi2) * Math.cos(deltaLambda);
+
+    return normalize(rtd(Math.atan2(y, x)));
+}
+
+/**
+ * Great-circle (haversine) distance to the Kaaba
+ * @param {Object} location - { latitude, longitude }
+ * @returns {number} Kilometres
+ */
+export function getQiblaDistance({ latitude, longitude }) {
+    const dPhi = dtr(KAABA.latitude - latitude);
+    const dLambda = dtr(KAABA.longitude - longitude);
+    const a = Math.sin(dPhi / 2) ** 2 +
+        Math.cos(dtr(latitude)) * Math.cos(dtr(KAABA.latitude)) * Math.sin(dLambda / 2) ** 2;
+
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Compass point for a bearing, e.g. "NE"
+ * @param {number} bearing
+ * @returns {string}
+ */
+function toCompassPoint(bearing) {
+    const points = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+    return points[Math.round(bearing / 45) % 8];
+}
+
+/**
+ * Whether the browser exposes device orientation at all
+ * @returns {boolean}
+ */
+function hasCompass() {
+    return 'DeviceOrientationEvent' in window;
+}
+
+/**
+ * Start listening to the device heading
+ * iOS needs permission from a user gesture and reports webkitCompassHeading;
+ * elsewhere the absolute alpha angle is converted to a heading
+ * @param {Function} onHeading - Called with degrees clockwise from north
+ * @returns {Promise<Function>} Stop function
+ */
+async function startCompass(onHeading) {
+    if (typeof DeviceOrientationEvent.requestPermission === 'function') {
+        const permission = await DeviceOrientationEvent.requestPermission();
+        if (permission !== 'granted') {
+            throw new Error('Compass permission denied');
+        }
+    }
+
+    const eventName = 'ondeviceorientationabsolute' in window ? 'deviceorientationabsolute' : 'deviceorientation';
+
+    const handler = (e) => {
+        let heading = null;
+
+        if (typeof e.webkitCompassHeading === 'number') {
+            heading = e.webkitCompassHeading;
+        } else if (e.absolute && typeof e.alpha === 'number') {
+            heading = 360 - e.alpha;
+        }
+
+        if (heading === null) return;
+
+        // Compensate for landscape screens
+        const screenAngle = screen.orientation?.angle || 0;
+        onHeading(normalize(heading + screenAngle));
+    };
+
+    window.addEventListener(eventName, handler);
+    return () => window.removeEventListener(eventName, handler);
+}
+
+/**
+ * Stop the live compass
+ */
+export function stopQiblaCompass() {
+    if (stopCompass) {
+        stopCompass();
+        stopCompass = null;
+    }
+}
+
+/**
+ * Redraw after a location change and let location-dependent views refresh
+ */
+function onLocationChange() {
+    renderQibla();
+    window.dispatchEvent(new CustomEvent(SETTINGS_EVENT));
+}
+
+/**
+ * Render the location form (geolocation or manual coordinates)
+ * @param {HTMLElement} container
+ */
+function renderLocationForm(container) {
+    const location = getLocation();
+
+    container.innerHTML = `
+        <div class="qibla-location">
+            <button class="qibla-btn" data-qibla-locate>Isticmaal goobtayda</button>
+            <span class="qibla-or">ama geli</span>
+            <input type="number" class="qibla-input" data-qibla-lat step="any" min="-90" max="90" placeholder="Loolka (lat)">
+            <input type="number" class="qibla-input" data-qibla-lng step="any" min="-180" max="180" placeholder="Dhererka (lng)">
+            <button class="qibla-btn secondary" data-qibla-save>Kaydi</button>
+        </div>
+        <p class="qibla-error" data-qibla-error hidden></p>
+    `;
+
+    const latInput = container.querySelector('[data-qibla-lat]');
+    const lngInput = container.querySelector('[data-qibla-lng]');
+    const errorEl = container.querySelector('[data-qibla-error]');
+
+    if (location) {
+        latInput.value = location.latitude.toFixed(4);
+        lngInput.value = location.longitude.toFixed(4);
+    }
+
+    const showError = (message) => {
+        errorEl.textContent = message;
+        errorEl.hidden = false;
+    };
+
+    container.querySelector('[data-qibla-locate]').addEventListener('click', async () => {
+        try {
+            await requestGeolocation();
+            onLocationChange();
+        } catch (error) {
+            console.error('Failed to get location:', error);
+            showError('Goobta lama helin. Geli loolka iyo dhererka.');
+        }
+    });
+
+    container.querySelector('[data-qibla-save]').addEventListener('click', () => {
+        const latitude = parseFloat(latInput.value);
+        const longitude = parseFloat(lngInput.value);
+
+        if (isNaN(latitude) || isNaN(longitude) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+            showError('Loolku waa inuu u dhexeeyaa -90 iyo 90, dhererkuna -180 iyo 180.');
+            return;
+        }
+
+        setLocation({ latitude, longitude });
+        onLocationChange();
+    });
+}
+
+/**
+ * Render the bearing dial and live compass controls
+ * @param {HTMLElement} container
+ * @param {Object} location - { latitude, longitude }
+ */
+function renderDial(container, location) {
+    const bearing = getQiblaBearing(location);
+    const distance = getQiblaDistance(location);
+
+    container.innerHTML = `
+        <div class="qibla-dial" data-qibla-dial>
+            <div class="qibla-rose" data-qibla-rose>
+                <span class="qibla-cardinal n">N</span>
+                <span class="qibla-cardinal e">E</span>
+                <span class="qibla-cardinal s">S</span>
+                <span class="qibla-cardinal w">W</span>
+                <div class="qibla-needle" style="transform: rotate(${bearing}deg)">
+                    <span class="qibla-kaaba">🕋</span>
+                </div>
+            </div>
+        </div>
+        <div class="qibla-info">
+            <span class="qibla-bearing">${bearing.toFixed(1)}° ${toCompassPoint(bearing)}</span>
+            <span class="qibla-distance">${Math.round(distance).toLocaleString('en-US')} km ilaa Kacbada</span>
+            <span class="qibla-status" data-qibla-status>Waqooyiga dhabta ah ka bilow, u leexo saacadda jihadeeda</span>
+        </div>
+        ${hasCompass() ? '<button class="qibla-btn" data-qibla-compass>Daar kombaaska</button>' : ''}
+    `;
+
+    const compassBtn = container.querySelector('[data-qibla-compass]');
+    if (!compassBtn) return;
+
+    const rose = container.querySelector('[data-qibla-rose]');
+    const dial = container.querySelector('[data-qibla-dial]');
+    const statusEl = container.querySelector('[data-qibla-status]');
+
+    compassBtn.addEventListener('click', async () => {
+        if (stopCompass) {
+            stopQiblaCompass();
+            rose.style.transform = '';
+            dial.classList.remove('live', 'aligned');
+            compassBtn.textContent = 'Daar kombaaska';
+            statusEl.textContent = 'Waqooyiga dhabta ah ka bilow, u leexo saacadda jihadeeda';
+            return;
+        }
+
+        let headingSeen = false;
+
+        try {
+            stopCompass = await startCompass((heading) => {
+                headingSeen = true;
+
+                // Turn the rose against the heading so the needle points at the Kaaba
+                rose.style.transform = `rotate(${-heading}deg)`;
+
+                const offset = normalize(bearing - heading);
+                const aligned = offset <= ALIGN_TOLERANCE || offset >= 360 - ALIGN_TOLERANCE;
+                dial.classList.toggle('aligned', aligned);
+                statusEl.textContent = aligned ? 'Waxaad u jeeddaa Qiblada ✓' : `U leexo ${Math.round(offset > 180 ? 360 - offset : offset)}°`;
+            });
+
+            dial.classList.add('live');
+            compassBtn.textContent = 'Jooji kombaaska';
+            statusEl.textContent = 'Taleefanka si siman u qabo';
+
+            // No sensor behind the API: back to the bearing above
+            const started = stopCompass;
+            setTimeout(() => {
+                if (headingSeen || stopCompass !== started) return;
+
+                stopQiblaCompass();
+                dial.classList.remove('live', 'aligned');
+                compassBtn.remove();
+                statusEl.textContent = 'Qalabkan kombaas ma laha — isticmaal jihada kor ku qoran';
+            }, COMPASS_TIMEOUT);
+        } catch (error) {
+            console.error('Failed to start compass:', error);
+            compassBtn.remove();
+            statusEl.textContent = 'Kombaasku ma shaqaynayo — isticmaal jihada kor ku qoran';
+        }
+    });
+}
+
+/**
+ * Render the Qibla section
+ */
+export function renderQibla() {
+    const dial = document.getElementById('qibla-dial');
+    const form = document.getElementById('qibla-form');
+    if (!dial || !form) return;
+
+    stopQiblaCompass();
+
+    const location = getLocation();
+    renderLocationForm(form);
+
+    if (location) {
+        renderDial(dial, location);
+    } else {
+        dial.innerHTML = '<p class="qibla-empty">Dooro goobtaada si aad u aragto jihada Qiblada.</p>';
+    }
+}
+
+/**
+ * Initialize Qibla section
+ */
+export function initQibla() {
+    renderQibla();
+}
+
+export default {
+    KAABA,
+    getQiblaBearing,
+    getQiblaDistance,
+    stopQiblaCompass,
+    renderQibla,
+    initQibla
+};
@@ -3,18 +3,62 @@
  * Dynamic rendering with GSAP animations for full Surah reading
  */
 
-let surahsData = null;
+import { FAVORITES_EVENT, getAyahLink, isFavorite, toggleFavorite } from './favorites.js';
+import { normalizeArabic } from './arabic.js';
+import { setLastRead, addBookmark } from './reading.js';
+import { getQuranMeta, getSurahMarkers, SURAH_TYPES, JUZ_COUNT } from './mushaf.js';
+
+// Lightweight surah index: { surahs: [{ n, name, c, size }] }
+let surahIndex = null;
+
+// Surahs with their verses, fetched on demand: Map<number, Promise<Object|null>>
+const surahChunks = new Map();
+
+// Event dispatched on window with { surah, from, to } for ayahs read in the viewer
+export const AYAHS_READ_EVENT = 'hadiye:ayahsread';
+
+// Surah open in the viewer
+let currentSurah = null;
+
+// Windowed verse list of the open surah: { root, surah, highlight, structure, pxPerChar, blocks, observers, reading }
+let verseList = null;
+
+// Characters of ayah text per rendered block
+const BLOCK_CHARS = 1200;
+
+// How far beyond the viewport blocks are filled, and emptied again
+const RENDER_MARGIN = '100%';
+const RELEASE_MARGIN = '300%';
+
+// Placeholder height per character until a block has been measured
+const DEFAULT_PX_PER_CHAR = 1.2;
+
+// Delay after scrolling stops before the reading position is saved, in ms
+const SAVE_POSITION_DELAY = 500;
+
+// How often the viewer checks which ayahs have been read, in ms
+const READ_CHECK_INTERVAL = 1000;
+
+// Time on screen before an ayah scrolled past the top counts as read, in ms
+const READ_MIN_TIME = 2000;
+
+// Time on screen per character before an ayah still in view counts as read, in ms
+const READ_TIME_PER_CHAR = 50;
+
+// Basmala (optionally with shadda on the ba) prefixed to the first ayah of every
+// surah but Al-Fatiha and At-Tawbah
+const BASMALA_PREFIX = /^\uFEFF?\u0628\u0651?\u0650\u0633\u0652\u0645\u0650 \u0671\u0644\u0644\u0651\u064E\u0647\u0650 \u0671\u0644\u0631\u0651\u064E\u062D\u0652\u0645\u064E\u0670\u0646\u0650 \u0671\u0644\u0631\u0651\u064E\u062D\u0650\u064A\u0645\u0650\s+/;
 
 /**
- * Load Surahs data
+ * Load the surah index (names and ayah counts, no verses)
  */
 async function loadSurahs() {
-    if (surahsData) return surahsData;
+    if (surahIndex) return surahIndex;
 
     try {
-        const response = await fetch('./data/surahs.json');
-        surahsData = await response.json();
-        return surahsData;
+        const response = await fetch('./data/quran/index.json');
+        surahIndex = await response.json();
+        return surahIndex;
     } catch (error) {
         console.error('Failed to load surahs:', error);
         return null;
@@ -22,7 +66,17 @@ async function loadSurahs() {
 }
 
 /**
- * Get all Surahs
+ * URL of a surah's verse chunk
+ * @param {number} number - Surah number (1-114)
+ * @returns {string}
+ */
+function getChunkUrl(number) {
+    return `./data/quran/${String(number).padStart(3, '0')}.json`;
+}
+
+/**
+ * Get all Surahs from the index
+ * Entries carry { n, name, c, size } but no verses; use getSurah() for those
  * @returns {Array} Array of Surah objects
  */
 export async function getAllSurahs() {
@@ -31,19 +85,95 @@ export async function getAllSurahs() {
 }
 
 /**
- * Get single Surah by number
+ * Get single Surah by number, with its verses
+ * Each surah is fetched once, on first use
  * @param {number} number - Surah number (1-114)
  * @returns {Object|null} Surah object
  */
 export async function getSurah(number) {
-    const data = await loadSurahs();
-    if (!data) return null;
+    const surahs = await getAllSurahs();
+    if (!surahs.some(s => s.n === number)) return null;
+
+    if (!surahChunks.has(number)) {
+        const request = fetch(getChunkUrl(number))
+            .then(response => {
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return response.json();
+            })
+            .catch(error => {
+                console.error(`Failed to load surah ${number}:`, error);
+                // Let a later call retry, e.g. once back online
+                surahChunks.delete(number);
+                return null;
+            });
+
+        surahChunks.set(number, request);
+    }
+
+    return surahChunks.get(number);
+}
+
+/**
+ * Count the surahs saved for offline reading
+ * @returns {Promise<Object>} { cached, total, missingBytes }
+ */
+export async function getOfflineStatus() {
+    const surahs = await getAllSurahs();
+    if (!('caches' in window)) return { cached: 0, total: surahs.length, missingBytes: 0 };
+
+    const hits = await Promise.all(surahs.map(s => caches.match(getChunkUrl(s.n))));
+    const missing = surahs.filter((_, i) => !hits[i]);
+
+    return {
+        cached: surahs.length - missing.length,
+        total: surahs.length,
+        missingBytes: missing.reduce((sum, s) => sum + (s.size || 0), 0)
+    };
+}
+
+/**
+ * Fetch every surah not yet saved, so the service worker caches it
+ * @param {Function} onProgress - Called with (done, total)
+ * @returns {Promise<boolean>} Whether every surah was fetched
+ */
+export async function downloadAllSurahs(onProgress = () => {}) {
+    const surahs = await getAllSurahs();
+    let done = 0;
+    let ok = true;
+
+    for (const surah of surahs) {
+        const url = getChunkUrl(surah.n);
+
+        if (!('caches' in window) || !(await caches.match(url))) {
+            try {
+                const response = await fetch(url);
+                if (!response.ok) ok = false;
+            } catch (error) {
+                ok = false;
+            }
+        }
+
+        onProgress(++done, surahs.length);
+    }
+
+    return ok;
+}
+
+/**
+ * Get the text of a single ayah, without the basmala the data prefixes to ayah 1
+ * @param {Object} surah - Surah object
+ * @param {number} ayah - Ayah number (1-based)
+ * @returns {string} Ayah text, empty if out of range
+ */
+export function getAyahText(surah, ayah) {
+    const text = surah?.v[ayah - 1];
+    if (!text) return '';
 
-    return data.surahs.find(s => s.n === number);
+    return surah.n === 1 ? text.replace(/^\uFEFF/, '') : text.replace(BASMALA_PREFIX, '');
 }
 
 /**
- * Search Surahs by name
+ * Search Surahs by name or number
  * @param {string} query - Search query
  * @returns {Array} Matching Surahs
  */
@@ -51,8 +181,11 @@ export async function searchSurahs(query) {
     const data = await loadSurahs();
     if (!data || !query) return data?.surahs || [];
 
+    // Diacritic-insensitive, so "البقرة" finds "البَقَرَةِ"
+    const target = normalizeArabic(query);
+
     return data.surahs.filter(surah =>
-        surah.name.includes(query) ||
+        normalizeArabic(surah.name).includes(target) ||
         String(surah.n).includes(query)
     );
 }
@@ -62,13 +195,15 @@ export async function searchSurahs(query) {
  * @param {HTMLElement} container - Grid container
  */
 export async function renderSurahGrid(container) {
-    const surahs = await getAllSurahs();
+    const [surahs, meta] = await Promise.all([getAllSurahs(), getQuranMeta()]);
+    const types = new Map((meta?.surahs || []).map(s => [s.n, s.type]));
 
     container.innerHTML = surahs.map(surah => `
         <div class="surah-card" data-surah="${surah.n}">
             <span class="surah-number">${surah.n}</span>
             <span class="surah-name">${surah.name}</span>
             <span class="surah-verses-count">${surah.c} آية</span>
+            ${types.has(surah.n) ? `<span class="surah-type ${types.get(surah.n)}">${SURAH_TYPES[types.get(surah.n)]}</span>` : ''}
         </div>
     `).join('');
 
@@ -94,122 +229,479 @@ export async function renderSurahGrid(container) {
 }
 
 /**
- * Render all ayahs into the viewer using chunked rendering
- * This ensures 60fps even for long Surahs like Al-Baqarah (286 ayahs)
- * @param {HTMLElement} container - Verses container element
+ * Render the juz grid
+ * Each card opens the surah viewer where its juz begins
+ * @param {HTMLElement} container - Grid container
+ */
+export async function renderJuzGrid(container) {
+    const [surahs, meta] = await Promise.all([getAllSurahs(), getQuranMeta()]);
+
+    if (!meta) {
+        container.innerHTML = '<p class="search-empty">Juz\'yada lama soo rari karo hadda.</p>';
+        return;
+    }
+
+    const names = new Map(surahs.map(s => [s.n, s.name]));
+
+    container.innerHTML = meta.juz.slice(0, JUZ_COUNT).map(([surah, ayah], i) => `
+        <div class="surah-card juz-card" data-surah="${surah}" data-ayah="${ayah}">
+            <span class="surah-number">${i + 1}</span>
+            <span class="surah-name">${names.get(surah) || ''}</span>
+            <span class="surah-verses-count">${surah}:${ayah}</span>
+        </div>
+    `).join('');
+
+    container.querySelectorAll('.juz-card').forEach(card => {
+        card.addEventListener('click', () => {
+            openSurahViewer(parseInt(card.dataset.surah), { ayah: parseInt(card.dataset.ayah) });
+        });
+    });
+
+    gsap.fromTo(container.querySelectorAll('.juz-card'),
+        { opacity: 0, y: 20 },
+        {
+            opacity: 1,
+            y: 0,
+            duration: 0.4,
+            stagger: 0.02,
+            ease: 'power2.out'
+        }
+    );
+}
+
+/**
+ * Switch between browsing by surah and by juz
+ */
+function setupViewToggle() {
+    const buttons = document.querySelectorAll('.quran-view-btn');
+    const surahGrid = document.getElementById('surah-grid');
+    const juzGrid = document.getElementById('juz-grid');
+    if (!buttons.length || !surahGrid || !juzGrid) return;
+
+    buttons.forEach(btn => {
+        btn.addEventListener('click', async () => {
+            const juz = btn.dataset.view === 'juz';
+
+            buttons.forEach(b => b.classList.toggle('active', b === btn));
+            surahGrid.hidden = juz;
+            juzGrid.hidden = !juz;
+
+            // Filled on first use
+            if (juz && !juzGrid.querySelector('.juz-card')) {
+                await renderJuzGrid(juzGrid);
+            }
+        });
+    });
+}
+
+/**
+ * Favorite item for an ayah
+ * @param {Object} surah - Surah object
+ * @param {number} ayah - Ayah number
+ * @returns {Object}
+ */
+function getAyahFavorite(surah, ayah) {
+    return {
+        id: `ayah:${surah.n}:${ayah}`,
+        type: 'ayah',
+        title: `سورة ${surah.name}`,
+        arabic: getAyahText(surah, ayah),
+        reference: `${surah.name}:${ayah}`,
+        link: getAyahLink(surah.n, ayah)
+    };
+}
+
+/**
+ * Mark the starred ayahs of the open surah
+ * @param {HTMLElement} container - Verses container or a single block
+ */
+function markFavoriteAyahs(container) {
+    if (!currentSurah) return;
+
+    container.querySelectorAll('.verse-number').forEach(numEl => {
+        numEl.classList.toggle('favorite', isFavorite(`ayah:${currentSurah.n}:${numEl.dataset.ayah}`));
+    });
+}
+
+/**
+ * Split a surah into blocks of consecutive ayahs of roughly equal length
  * @param {Array} verses - Array of verse strings
+ * @returns {Array} [{ from, to, chars }] with 1-based ayah numbers
  */
-function renderVerses(container, verses) {
-    // Clear previous content
-    container.innerHTML = '';
+function buildVerseBlocks(verses) {
+    const blocks = [];
+    let block = null;
+
+    verses.forEach((verse, i) => {
+        if (!block || block.chars >= BLOCK_CHARS) {
+            block = { from: i + 1, to: i + 1, chars: 0 };
+            blocks.push(block);
+        }
 
-    // Build all verse elements in a DocumentFragment for performance
+        block.to = i + 1;
+        block.chars += verse.length;
+    });
+
+    return blocks;
+}
+
+/**
+ * Build the elements of a range of ayahs
+ * @param {Array} verses - Array of verse strings
+ * @param {number} from - First ayah
+ * @param {number} to - Last ayah
+ * @param {Object} structure - From getSurahMarkers(), or null without metadata
+ * @returns {DocumentFragment}
+ */
+function renderVerses(verses, from, to, structure = null) {
+    // Build the verse elements in a DocumentFragment for performance
     const fragment = document.createDocumentFragment();
 
-    verses.forEach((verse, i) => {
+    for (let ayah = from; ayah <= to; ayah++) {
+        // Juz and hizb markers where one begins
+        (structure?.markers.get(ayah) || []).forEach(marker => {
+            const markerSpan = document.createElement('span');
+            markerSpan.className = `verse-marker ${marker.kind}`;
+            markerSpan.textContent = marker.label;
+            fragment.appendChild(markerSpan);
+        });
+
         // Verse text
         const verseSpan = document.createElement('span');
         verseSpan.className = 'verse';
-        verseSpan.textContent = verse;
+        verseSpan.dataset.ayah = ayah;
+        verseSpan.textContent = verses[ayah - 1];
 
-        // Verse number badge
+        // Verse number badge, tapped to star the ayah
         const numSpan = document.createElement('span');
         numSpan.className = 'verse-number';
-        numSpan.textContent = i + 1;
+        numSpan.dataset.ayah = ayah;
+        numSpan.setAttribute('role', 'button');
+        numSpan.tabIndex = 0;
+        numSpan.title = 'Kaydi aayadda';
+        numSpan.textContent = ayah;
 
         // Space between verses
         const space = document.createTextNode(' ');
 
         fragment.appendChild(verseSpan);
+
+        // Sign of prostration after a sajdah ayah
+        if (structure?.sajdah.has(ayah)) {
+            const sajdahSpan = document.createElement('span');
+            sajdahSpan.className = 'sajdah-mark';
+            sajdahSpan.title = 'Sajdah';
+            sajdahSpan.textContent = '۩';
+            fragment.appendChild(sajdahSpan);
+        }
+
         fragment.appendChild(numSpan);
         fragment.appendChild(space);
+    }
+
+    return fragment;
+}
+
+/**
+ * Change a block's height without moving what the reader is looking at
+ * Blocks above the viewport shift everything below them, so the scroll
+ * position absorbs the difference
+ * @param {Object} block - Verse block
+ * @param {Function} change - Mutates the block element
+ */
+function keepScrollPosition(block, change) {
+    const { root } = verseList;
+    const before = block.el.offsetHeight;
+    const above = block.el.getBoundingClientRect().top < root.getBoundingClientRect().top;
+
+    change();
+
+    const delta = block.el.offsetHeight - before;
+    if (delta && above) root.scrollTop += delta;
+}
+
+/**
+ * Fill a placeholder block with its ayahs
+ * @param {Object} block - Verse block
+ */
+function renderBlock(block) {
+    if (block.rendered) return;
+
+    keepScrollPosition(block, () => {
+        block.el.style.height = '';
+        block.el.appendChild(renderVerses(verseList.surah.v, block.from, block.to, verseList.structure));
+    });
+
+    block.rendered = true;
+    block.el.querySelectorAll('.verse').forEach(el => {
+        const ayah = parseInt(el.dataset.ayah);
+        el.classList.toggle('highlight', ayah >= verseList.highlight.from && ayah <= verseList.highlight.to);
+    });
+    markFavoriteAyahs(block.el);
+
+    // Learn how tall the text really sets, for the placeholders still estimated
+    if (!verseList.pxPerChar) {
+        verseList.pxPerChar = block.el.offsetHeight / block.chars;
+        verseList.blocks.forEach(b => {
+            if (!b.rendered) b.el.style.height = `${Math.round(b.chars * verseList.pxPerChar)}px`;
+        });
+    }
+
+    // Entrance animation, once per block while the surah is open
+    if (!block.revealed) {
+        block.revealed = true;
+        gsap.fromTo(block.el.querySelectorAll('.verse'),
+            { opacity: 0, y: 15 },
+            {
+                opacity: 1,
+                y: 0,
+                duration: 0.5,
+                stagger: 0.04,
+                ease: 'power2.out'
+            }
+        );
+    }
+}
+
+/**
+ * Empty a block far off screen, keeping its measured height
+ * @param {Object} block - Verse block
+ */
+function releaseBlock(block) {
+    if (!block.rendered) return;
+
+    keepScrollPosition(block, () => {
+        block.el.style.height = `${block.el.offsetHeight}px`;
+        block.el.replaceChildren();
     });
 
-    // Single DOM write
-    container.appendChild(fragment);
+    block.rendered = false;
 }
 
 /**
- * Animate visible verses with GSAP ScrollTrigger
- * Uses IntersectionObserver for reliable detection inside modal
- * @param {HTMLElement} scrollContainer - The scrollable container
- * @param {NodeList} verseElements - All verse elements
+ * Render a surah as a windowed list of verse blocks
+ * Only blocks near the viewport hold ayahs; the rest are empty placeholders
+ * of the same height. Within a block the ayahs flow inline as in the mushaf.
+ * @param {HTMLElement} root - The scrollable container
+ * @param {HTMLElement} container - Verses container element
+ * @param {Object} surah - Surah object
+ * @param {Object} highlight - { from, to } ayahs to highlight
+ * @param {Object} structure - Juz, hizb and sajdah markers from getSurahMarkers()
  */
-function animateVersesOnScroll(scrollContainer, verseElements) {
-    // Animate first batch immediately (above the fold)
-    const firstBatch = Array.from(verseElements).slice(0, 15);
-    gsap.fromTo(firstBatch,
-        { opacity: 0, y: 15 },
-        {
-            opacity: 1,
-            y: 0,
-            duration: 0.5,
-            stagger: 0.04,
-            ease: 'power2.out'
-        }
-    );
+function createVerseList(root, container, surah, highlight, structure) {
+    destroyVerseList();
+
+    const estimate = verseList?.pxPerChar || DEFAULT_PX_PER_CHAR;
+
+    verseList = {
+        root,
+        surah,
+        highlight,
+        structure,
+        pxPerChar: null,
+        blocks: buildVerseBlocks(surah.v),
+        // Ayahs on screen since a time, and those already reported as read
+        reading: { seen: new Map(), read: new Set() },
+        readTimer: setInterval(trackReading, READ_CHECK_INTERVAL)
+    };
 
-    // Use IntersectionObserver for remaining verses (works inside modals)
-    const remaining = Array.from(verseElements).slice(15);
+    container.innerHTML = '';
+    verseList.blocks.forEach((block, i) => {
+        block.el = document.createElement('div');
+        block.el.className = 'verse-block';
+        block.el.dataset.block = i;
+        block.el.style.height = `${Math.round(block.chars * estimate)}px`;
+        container.appendChild(block.el);
+    });
 
-    if (remaining.length === 0) return;
+    const blockOf = el => verseList.blocks[parseInt(el.dataset.block)];
 
-    const observer = new IntersectionObserver((entries) => {
+    // Fill blocks as they come within a screen of the viewport...
+    verseList.renderObserver = new IntersectionObserver((entries) => {
         entries.forEach(entry => {
-            if (entry.isIntersecting) {
-                gsap.to(entry.target, {
-                    opacity: 1,
-                    y: 0,
-                    duration: 0.6,
-                    ease: 'power2.out'
-                });
-                observer.unobserve(entry.target);
-            }
+            if (entry.isIntersecting) renderBlock(blockOf(entry.target));
         });
-    }, {
-        root: scrollContainer,
-        rootMargin: '100px',
-        threshold: 0.1
+    }, { root, rootMargin: `${RENDER_MARGIN} 0px` });
+
+    // ...and empty them once well past it, so scrolling back and forth doesn't thrash
+    verseList.releaseObserver = new IntersectionObserver((entries) => {
+        entries.forEach(entry => {
+            if (!entry.isIntersecting) releaseBlock(blockOf(entry.target));
+        });
+    }, { root, rootMargin: `${RELEASE_MARGIN} 0px` });
+
+    verseList.blocks.forEach(block => {
+        verseList.renderObserver.observe(block.el);
+        verseList.releaseObserver.observe(block.el);
     });
+}
+
+/**
+ * Stop observing the open surah's blocks
+ */
+function destroyVerseList() {
+    if (!verseList?.renderObserver) return;
+
+    clearInterval(verseList.readTimer);
+    verseList.renderObserver.disconnect();
+    verseList.releaseObserver.disconnect();
+    verseList.renderObserver = null;
+    verseList.releaseObserver = null;
+}
+
+/**
+ * Scroll an ayah into view, rendering its block first
+ * @param {number} ayah - Ayah number
+ * @param {string} position - scrollIntoView block alignment
+ */
+function scrollToAyah(ayah, position = 'center') {
+    const block = verseList?.blocks.find(b => ayah >= b.from && ayah <= b.to);
+    if (!block) return;
+
+    renderBlock(block);
+    block.el.querySelector(`.verse[data-ayah="${ayah}"]`)?.scrollIntoView({ block: position });
+}
+
+/**
+ * Find the ayahs visible in the viewer
+ * @returns {Object|null} { from, to }
+ */
+function getVisibleAyahs() {
+    if (!verseList) return null;
+
+    const { top, bottom } = verseList.root.getBoundingClientRect();
+    let from = null;
+    let to = null;
+
+    verseList.blocks.forEach(block => {
+        if (!block.rendered) return;
 
-    remaining.forEach(verse => {
-        // Set initial hidden state
-        gsap.set(verse, { opacity: 0, y: 15 });
-        observer.observe(verse);
+        const rect = block.el.getBoundingClientRect();
+        if (rect.bottom <= top || rect.top >= bottom) return;
+
+        block.el.querySelectorAll('.verse').forEach(el => {
+            const verseRect = el.getBoundingClientRect();
+            if (verseRect.bottom <= top || verseRect.top >= bottom) return;
+
+            const ayah = parseInt(el.dataset.ayah);
+            from = from ?? ayah;
+            to = ayah;
+        });
     });
 
-    // Store observer reference for cleanup
-    scrollContainer._verseObserver = observer;
+    return from ? { from, to } : null;
+}
+
+/**
+ * Reading position of the open surah
+ * @param {Object} visible - From getVisibleAyahs()
+ * @returns {Object|null} { surah, name, ayah, count }
+ */
+function getReadingPosition(visible = getVisibleAyahs()) {
+    if (!currentSurah || !visible) return null;
+
+    return { surah: currentSurah.n, name: currentSurah.name, ayah: visible.from, count: currentSurah.c };
+}
+
+/**
+ * Save the reading position
+ * @param {boolean} notify - Redraw the "continue reading" card
+ */
+function saveReadingPosition(notify = false) {
+    const position = getReadingPosition();
+    if (position) setLastRead(position, notify);
+}
+
+/**
+ * Report ayahs as read once the reader has had time for them
+ * An ayah counts when it scrolls past the top after READ_MIN_TIME on screen, or
+ * when it stays on screen long enough to read it, as the last ayahs never scroll away
+ */
+function trackReading() {
+    if (!verseList?.reading || !currentSurah) return;
+
+    const { seen, read } = verseList.reading;
+
+    // Time with the app in the background isn't reading
+    if (document.hidden) {
+        seen.clear();
+        return;
+    }
+
+    const visible = getVisibleAyahs();
+    if (!visible) return;
+
+    const now = Date.now();
+    const done = [];
+
+    seen.forEach((since, ayah) => {
+        const onScreen = ayah >= visible.from && ayah <= visible.to;
+        const needed = onScreen ? getAyahText(currentSurah, ayah).length * READ_TIME_PER_CHAR : READ_MIN_TIME;
+
+        if (now - since >= needed && (onScreen || ayah < visible.from)) done.push(ayah);
+        if (!onScreen || done.includes(ayah)) seen.delete(ayah);
+    });
+
+    for (let ayah = visible.from; ayah <= visible.to; ayah++) {
+        if (!seen.has(ayah) && !read.has(ayah) && !done.includes(ayah)) seen.set(ayah, now);
+    }
+
+    // One event per run of consecutive ayahs
+    done.sort((a, b) => a - b).forEach((ayah, i) => {
+        read.add(ayah);
+        if (done[i + 1] === ayah + 1) return;
+
+        let from = ayah;
+        while (done.includes(from - 1)) from--;
+        window.dispatchEvent(new CustomEvent(AYAHS_READ_EVENT, {
+            detail: { surah: currentSurah.n, from, to: ayah }
+        }));
+    });
+}
+
+/**
+ * Describe a surah under its title, e.g. "Madani · 286 aayadood · Bogagga 2–49"
+ * @param {Object} surah - Surah object
+ * @param {Object} structure - From getSurahMarkers()
+ * @returns {string}
+ */
+function getSurahDetails(surah, structure) {
+    const { first, last } = structure.pages;
+    const pages = first === last ? `Bogga ${first}` : `Bogagga ${first}–${last}`;
+
+    return [SURAH_TYPES[structure.type], `${surah.c} aayadood`, pages].filter(Boolean).join(' · ');
 }
 
 /**
  * Open Surah viewer modal
  * @param {number} surahNumber - Surah number
+ * @param {Object} options - { from, to } ayah range to scroll to and highlight,
+ *                           or { ayah } to scroll to without highlighting
  */
-export async function openSurahViewer(surahNumber) {
+export async function openSurahViewer(surahNumber, options = {}) {
     const viewer = document.getElementById('surah-viewer');
     const titleEl = document.getElementById('surah-title');
+    const metaEl = document.getElementById('surah-meta');
     const versesEl = document.getElementById('surah-verses');
     const contentEl = viewer.querySelector('.surah-viewer-content');
 
-    const surah = await getSurah(surahNumber);
+    const [surah, meta] = await Promise.all([getSurah(surahNumber), getQuranMeta()]);
 
     if (!surah) {
         console.error('Surah not found:', surahNumber);
         return;
     }
 
-    // Clean up any previous observer
-    if (contentEl._verseObserver) {
-        contentEl._verseObserver.disconnect();
-        contentEl._verseObserver = null;
-    }
+    // Markers are a nicety; the surah still opens without them
+    const structure = meta ? getSurahMarkers(meta, surah) : null;
 
     // Set title
     titleEl.textContent = `سورة ${surah.name}`;
+    currentSurah = surah;
 
-    // Render all verses into the DOM
-    renderVerses(versesEl, surah.v);
+    if (metaEl) {
+        metaEl.textContent = structure ? getSurahDetails(surah, structure) : '';
+    }
 
     // Show viewer
     viewer.classList.add('active');
@@ -218,11 +710,18 @@ export async function openSurahViewer(surahNumber) {
     // Scroll to top of content
     contentEl.scrollTop = 0;
 
-    // Animate verses after modal is visible
-    requestAnimationFrame(() => {
-        const verseElements = versesEl.querySelectorAll('.verse');
-        animateVersesOnScroll(contentEl, verseElements);
-    });
+    // Only the ayahs near the viewport are rendered; the observers fill in the rest
+    const highlight = options.from
+        ? { from: options.from, to: options.to || options.from }
+        : { from: 0, to: -1 };
+    createVerseList(contentEl, versesEl, surah, highlight, structure);
+
+    if (options.from) {
+        scrollToAyah(options.from);
+    } else if (options.ayah) {
+        // Resume reading: the ayah goes to the top, without a highlight
+        scrollToAyah(options.ayah, 'start');
+    }
 }
 
 /**
@@ -230,35 +729,151 @@ export async function openSurahViewer(surahNumber) {
  */
 export function closeSurahViewer() {
     const viewer = document.getElementById('surah-viewer');
-    const contentEl = viewer.querySelector('.surah-viewer-content');
+    if (!viewer.classList.contains('active')) return;
 
-    // Clean up observer
-    if (contentEl && contentEl._verseObserver) {
-        contentEl._verseObserver.disconnect();
-        contentEl._verseObserver = null;
-    }
+    // Remember where the reader stopped; ayahs only just shown aren't read
+    trackReading();
+    saveReadingPosition(true);
+
+    // Clean up observers
+    destroyVerseList();
 
     viewer.classList.remove('active');
     document.body.style.overflow = '';
 }
 
+/**
+ * Format a byte count as megabytes
+ * @param {number} bytes
+ * @returns {string}
+ */
+function formatMegabytes(bytes) {
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Render the offline download status and action
+ */
+async function renderOfflineControls() {
+    const statusEl = document.getElementById('quran-offline-status');
+    const button = document.getElementById('quran-offline-btn');
+    if (!statusEl || !button) return;
+
+    const { cached, total, missingBytes } = await getOfflineStatus();
+
+    if (total && cached === total) {
+        statusEl.textContent = 'Dhammaan suuradaha waa offline ✓';
+        button.hidden = true;
+        return;
+    }
+
+    statusEl.textContent = `Offline: ${cached}/${total} suuradood`;
+    button.hidden = false;
+    button.disabled = false;
+    button.textContent = `Soo deji dhammaan (${formatMegabytes(missingBytes)})`;
+}
+
+/**
+ * Wire up the "download all for offline" action
+ */
+function setupOfflineDownload() {
+    const button = document.getElementById('quran-offline-btn');
+    const statusEl = document.getElementById('quran-offline-status');
+    if (!button || !statusEl) return;
+
+    button.addEventListener('click', async () => {
+        // Without an active service worker nothing would be kept
+        if (!navigator.serviceWorker?.controller) {
+            statusEl.textContent = 'Offline lama heli karo weli. Dib u fur app-ka.';
+            return;
+        }
+
+        button.disabled = true;
+
+        const ok = await downloadAllSurahs((done, total) => {
+            button.textContent = `Soo dejinaya… ${done}/${total}`;
+        });
+
+        await renderOfflineControls();
+        if (!ok) statusEl.textContent += ' · Qaar lama soo dejin, isku day mar kale';
+    });
+
+    renderOfflineControls();
+}
+
 /**
  * Initialize Quran section
  */
 export async function initQuran() {
     const grid = document.getElementById('surah-grid');
     const closeBtn = document.getElementById('surah-close');
+    const bookmarkBtn = document.getElementById('surah-bookmark');
     const viewer = document.getElementById('surah-viewer');
+    const versesEl = document.getElementById('surah-verses');
 
     if (grid) {
         await renderSurahGrid(grid);
     }
 
+    // Browse by surah or by juz
+    setupViewToggle();
+
+    // Offline copy of every surah
+    setupOfflineDownload();
+
     // Close button
     if (closeBtn) {
         closeBtn.addEventListener('click', closeSurahViewer);
     }
 
+    // Bookmark the ayah at the top of the viewer
+    if (bookmarkBtn) {
+        bookmarkBtn.addEventListener('click', () => {
+            const position = getReadingPosition();
+            if (!position) return;
+
+            addBookmark(position);
+            bookmarkBtn.classList.add('saved');
+            setTimeout(() => bookmarkBtn.classList.remove('saved'), 1500);
+        });
+    }
+
+    // Save the reading position as the reader pauses, in case the app is closed mid-surah
+    if (viewer) {
+        const contentEl = viewer.querySelector('.surah-viewer-content');
+        let timer = null;
+
+        contentEl.addEventListener('scroll', () => {
+            clearTimeout(timer);
+            timer = setTimeout(() => {
+                if (viewer.classList.contains('active')) saveReadingPosition();
+            }, SAVE_POSITION_DELAY);
+        }, { passive: true });
+    }
+
+    // Star an ayah from its number badge
+    if (versesEl) {
+        const toggleAyah = (numEl) => {
+            if (!currentSurah) return;
+            toggleFavorite(getAyahFavorite(currentSurah, parseInt(numEl.dataset.ayah)));
+        };
+
+        versesEl.addEventListener('click', (e) => {
+            const numEl = e.target.closest('.verse-number');
+            if (numEl) toggleAyah(numEl);
+        });
+
+        versesEl.addEventListener('keydown', (e) => {
+            const numEl = e.target.closest('.verse-number');
+            if (numEl && (e.key === 'Enter' || e.key === ' ')) {
+                e.preventDefault();
+                toggleAyah(numEl);
+            }
+        });
+
+        window.addEventListener(FAVORITES_EVENT, () => markFavoriteAyahs(versesEl));
+    }
+
     // Click outside to close
     if (viewer) {
         viewer.addEventListener('click', (e) => {
@@ -277,10 +892,15 @@ export async function initQuran() {
 }
 
 export default {
+    AYAHS_READ_EVENT,
     getAllSurahs,
     getSurah,
+    getOfflineStatus,
+    downloadAllSurahs,
+    getAyahText,
     searchSurahs,
     renderSurahGrid,
+    renderJuzGrid,
     openSurahViewer,
     closeSurahViewer,
     initQuran
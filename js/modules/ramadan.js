@@ -1,19 +1,171 @@
 /**
  * Ramadan Module - Handles countdown and day tracking
- * Ramadan 2026: February 18 - March 19 (approximate)
+ * Ramadan dates are derived from the Hijri calendar for any year
  */
 
-// Ramadan 2026 dates (adjust as needed for actual moon sighting)
-const RAMADAN_START = new Date('2026-02-18T00:00:00');
-const RAMADAN_END = new Date('2026-03-19T23:59:59');
+import { toHijri, toGregorian, getHijriMonthLength, daysBetween, RAMADAN_MONTH } from './hijri.js';
+import {
+    METHODS,
+    getNextFastingEvent,
+    getTodayPrayerTimes,
+    getLocation,
+    requestGeolocation,
+    getCalculationSettings,
+    setCalculationSettings,
+    formatTime,
+    formatDuration
+} from './prayertimes.js';
+import { getQadrNight, renderQadrPanel, updateQadrCountdown } from './qadr.js';
+import { isZakatReminderDue, renderZakatReminder } from './zakat.js';
+import { getNow, onTick, watch } from './clock.js';
+
+// Storage key
+const STORAGE_KEY = 'hadiye_ramadan';
+
+// Largest regional moon-sighting shift, in days
+export const MAX_SIGHTING_OFFSET = 2;
+
+// Moon-sighting state
+let sighting = {
+    offset: 0,        // days added to the computed start
+    overrides: {}     // { [hijriYear]: { start: 'YYYY-MM-DD', end: 'YYYY-MM-DD' } }
+};
+
+/**
+ * Load moon-sighting settings from localStorage
+ */
+function loadSighting() {
+    try {
+        const saved = localStorage.getItem(STORAGE_KEY);
+        if (saved) {
+            sighting = { ...sighting, ...JSON.parse(saved) };
+        }
+    } catch (error) {
+        console.error('Failed to load moon-sighting settings:', error);
+    }
+}
+
+/**
+ * Save moon-sighting settings to localStorage
+ */
+function saveSighting() {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(sighting));
+    } catch (error) {
+        console.error('Failed to save moon-sighting settings:', error);
+    }
+}
+
+loadSighting();
+
+// Six days of Shawwal tracker: { [hijriYear]: ['YYYY-MM-DD', ...] }
+const SHAWWAL_STORAGE_KEY = 'hadiye_shawwal';
+const SHAWWAL_FASTS = 6;
+
+// Unsubscribe for the live hero (one at a time)
+let heroUnsubscribe = null;
+
+/**
+ * Local date as YYYY-MM-DD
+ */
+function toDateKey(date) {
+    const m = String(date.getMonth() + 1).padStart(2, '0');
+    const d = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${m}-${d}`;
+}
+
+/**
+ * Parse YYYY-MM-DD as local midnight
+ */
+function parseDateKey(key) {
+    const [y, m, d] = key.split('-').map(Number);
+    return new Date(y, m - 1, d);
+}
+
+/**
+ * Add calendar days to a date (local midnight based)
+ */
+function addDays(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+/**
+ * Get the calendar day the Islamic day belongs to
+ * The Islamic day begins at Maghrib, so once a location is known the
+ * evening is counted as the following day (e.g. night 27 before day 27)
+ * @param {Date} now - Reference time
+ * @returns {Date} Local midnight of the effective day
+ */
+export function getIslamicDate(now = getNow()) {
+    const day = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const times = getTodayPrayerTimes(now);
+
+    if (times && now >= times.maghrib) {
+        day.setDate(day.getDate() + 1);
+    }
+
+    return day;
+}
+
+/**
+ * Subscribe to Islamic day changes (Maghrib when located, else midnight)
+ * @param {Function} listener - Called with the new day as YYYY-MM-DD
+ * @returns {Function} Unsubscribe
+ */
+export function onDayChange(listener) {
+    return watch(() => toDateKey(getIslamicDate()), listener);
+}
+
+/**
+ * Get Ramadan start/end for a Hijri year
+ * Applies the saved moon-sighting offset and any declared start/end
+ * @param {number} hijriYear - Hijri year
+ * @returns {Object} { hijriYear, start, end, begins, totalDays }
+ */
+export function getRamadanDates(hijriYear) {
+    const override = sighting.overrides[hijriYear] || {};
+    const computed = toGregorian(hijriYear, RAMADAN_MONTH, 1);
+
+    const start = override.start
+        ? parseDateKey(override.start)
+        : addDays(computed, sighting.offset);
+    // A lunar month is always 29 or 30 days
+    const totalDays = override.end
+        ? Math.min(30, Math.max(29, daysBetween(start, parseDateKey(override.end)) + 1))
+        : getHijriMonthLength(hijriYear, RAMADAN_MONTH);
+
+    const end = addDays(start, totalDays);
+    end.setMilliseconds(-1);
+
+    // First night of Ramadan starts at Maghrib the evening before, when known
+    const eveTimes = getTodayPrayerTimes(addDays(start, -1));
+    const begins = eveTimes ? eveTimes.maghrib : start;
+
+    return { hijriYear, start, end, begins, totalDays };
+}
+
+/**
+ * Get the current Ramadan, or the next one if it has already ended
+ * @param {Date} now - Reference time
+ * @returns {Object} { hijriYear, start, end, begins, totalDays }
+ */
+export function getUpcomingRamadan(now = getNow()) {
+    const today = getIslamicDate(now);
+    const { year } = toHijri(today);
+    const ramadan = getRamadanDates(year);
+
+    return today > ramadan.end ? getRamadanDates(year + 1) : ramadan;
+}
 
 /**
  * Check if current date is during Ramadan
  * @returns {boolean}
  */
 export function isRamadan() {
-    const now = new Date();
-    return now >= RAMADAN_START && now <= RAMADAN_END;
+    const now = getNow();
+    const today = getIslamicDate(now);
+    const { start, end } = getUpcomingRamadan(now);
+    return today >= start && today <= end;
 }
 
 /**
@@ -21,25 +173,26 @@ export function isRamadan() {
  * @returns {number} Days remaining, 0 if Ramadan has started
  */
 export function getDaysUntilRamadan() {
-    const now = new Date();
-    if (now >= RAMADAN_START) return 0;
+    const now = getNow();
+    const today = getIslamicDate(now);
+    const { start } = getUpcomingRamadan(now);
+    if (today >= start) return 0;
 
-    const diff = RAMADAN_START - now;
-    return Math.ceil(diff / (1000 * 60 * 60 * 24));
+    return daysBetween(today, start);
 }
 
 /**
- * Get current Ramadan day (1-30)
+ * Get current Ramadan day (1-29 or 1-30)
  * @returns {number|null} Day number or null if not Ramadan
  */
 export function getCurrentRamadanDay() {
     if (!isRamadan()) return null;
 
-    const now = new Date();
-    const diff = now - RAMADAN_START;
-    const day = Math.floor(diff / (1000 * 60 * 60 * 24)) + 1;
+    const now = getNow();
+    const { start, totalDays } = getUpcomingRamadan(now);
+    const day = daysBetween(start, getIslamicDate(now)) + 1;
 
-    return Math.min(day, 30);
+    return Math.min(day, totalDays);
 }
 
 /**
@@ -47,13 +200,14 @@ export function getCurrentRamadanDay() {
  * @returns {Object} { days, hours, minutes, seconds }
  */
 export function getCountdown() {
-    const now = new Date();
+    const now = getNow();
+    const { begins } = getUpcomingRamadan(now);
 
-    if (now >= RAMADAN_START) {
+    if (now >= begins) {
         return { days: 0, hours: 0, minutes: 0, seconds: 0 };
     }
 
-    const diff = RAMADAN_START - now;
+    const diff = begins - now;
 
     return {
         days: Math.floor(diff / (1000 * 60 * 60 * 24)),
@@ -63,6 +217,66 @@ export function getCountdown() {
     };
 }
 
+/**
+ * Get today's Hijri date, following the Maghrib rollover and moon sighting
+ * A declared start or Eid fixes the days of Ramadan, and Sha'ban and Shawwal
+ * are counted from them
+ * @param {Date} now - Reference time
+ * @returns {Object} { year, month, day }
+ */
+export function getHijriDate(now = getNow()) {
+    const today = getIslamicDate(now);
+    const hijri = toHijri(addDays(today, -sighting.offset));
+    if (!sighting.overrides[hijri.year] || hijri.month < 8 || hijri.month > 10) return hijri;
+
+    const { start, end, totalDays } = getRamadanDates(hijri.year);
+
+    if (today >= start && today <= end) {
+        return { year: hijri.year, month: RAMADAN_MONTH, day: daysBetween(start, today) + 1 };
+    }
+
+    // Sha'ban runs up to the declared start, Shawwal begins the day after the last fast
+    const [month, first] = today < start
+        ? [RAMADAN_MONTH, start]
+        : [RAMADAN_MONTH + 1, addDays(start, totalDays)];
+    const shift = daysBetween(toGregorian(hijri.year, month, 1), first);
+
+    return toHijri(addDays(today, -shift));
+}
+
+/**
+ * Determine the year-round phase outside Ramadan
+ * @param {Date} today - Islamic day (local midnight)
+ * @param {Object} hijri - Today's Hijri date
+ * @returns {Object} { phase, phaseDay }
+ */
+function getSeasonPhase(today, hijri) {
+    // Shawwal is counted from the Ramadan just completed, honouring a declared Eid
+    if (hijri.month === 10 || hijri.month === RAMADAN_MONTH) {
+        const shawwalDay = daysBetween(getRamadanDates(hijri.year).end, today);
+        if (shawwalDay === 1) return { phase: 'eid-fitr', phaseDay: 1 };
+        if (shawwalDay > 1 && shawwalDay <= 30) return { phase: 'shawwal', phaseDay: shawwalDay };
+    }
+
+    if (hijri.month === 12) {
+        if (hijri.day <= 8) return { phase: 'dhul-hijjah', phaseDay: hijri.day };
+        if (hijri.day === 9) return { phase: 'arafah', phaseDay: 9 };
+        if (hijri.day <= 13) return { phase: 'eid-adha', phaseDay: hijri.day - 9 };
+    }
+
+    // Tasu'a and Ashura
+    if (hijri.month === 1 && (hijri.day === 9 || hijri.day === 10)) {
+        return { phase: 'ashura', phaseDay: hijri.day };
+    }
+
+    // Ayyam al-Bid: 13th, 14th and 15th of the lunar month
+    if (hijri.day >= 13 && hijri.day <= 15) {
+        return { phase: 'white-days', phaseDay: hijri.day };
+    }
+
+    return { phase: 'before', phaseDay: null };
+}
+
 /**
  * Get comprehensive Ramadan status
  * @returns {Object} Status object with all relevant info
@@ -72,13 +286,18 @@ export function getRamadanStatus() {
     const day = getCurrentRamadanDay();
     const countdown = getCountdown();
     const daysUntil = getDaysUntilRamadan();
+    const { hijriYear, start, end, totalDays } = getUpcomingRamadan();
+    const hijriDate = getHijriDate();
 
     // Determine phase
     let phase = 'before';
+    let phaseDay = day;
     if (inRamadan) {
         if (day <= 10) phase = 'mercy';      // First 10 days - Mercy
         else if (day <= 20) phase = 'forgiveness'; // Second 10 days - Forgiveness
         else phase = 'salvation';             // Last 10 days - Salvation from Hellfire
+    } else {
+        ({ phase, phaseDay } = getSeasonPhase(getIslamicDate(), hijriDate));
     }
 
     return {
@@ -87,11 +306,134 @@ export function getRamadanStatus() {
         daysUntil,
         countdown,
         phase,
-        totalDays: 30,
-        progress: day ? (day / 30) * 100 : 0
+        phaseDay,
+        hijriDate,
+        qadrNight: inRamadan ? getQadrNight(day) : null,
+        hijriYear,
+        start,
+        end,
+        totalDays,
+        progress: day ? (day / totalDays) * 100 : 0
     };
 }
 
+/**
+ * Get moon-sighting settings
+ * @returns {Object} { offset, overrides }
+ */
+export function getSightingSettings() {
+    return {
+        offset: sighting.offset,
+        overrides: { ...sighting.overrides }
+    };
+}
+
+/**
+ * Shift the computed Ramadan start/end for regional moon sighting
+ * @param {number} days - -2 to +2
+ */
+export function setSightingOffset(days) {
+    const offset = Math.round(Number(days)) || 0;
+    sighting.offset = Math.max(-MAX_SIGHTING_OFFSET, Math.min(MAX_SIGHTING_OFFSET, offset));
+    saveSighting();
+}
+
+/**
+ * Check whether today is close enough to the expected start to declare it
+ * Also true in the first days of Ramadan, when a later sighting can still move the start,
+ * but not once a declared start has passed: only "Dib u celi" undoes that
+ * @returns {boolean}
+ */
+export function canDeclareRamadanStarted() {
+    const today = getIslamicDate();
+    const { hijriYear, start } = getUpcomingRamadan();
+    const declared = sighting.overrides[hijriYear]?.start;
+
+    if (declared && today > parseDateKey(declared)) return false;
+
+    return Math.abs(daysBetween(start, today)) <= MAX_SIGHTING_OFFSET;
+}
+
+/**
+ * Declare that Ramadan started today (the moon was sighted last night)
+ * @returns {boolean} Whether the declaration was accepted
+ */
+export function declareRamadanStarted() {
+    if (!canDeclareRamadanStarted()) return false;
+
+    const { hijriYear } = getUpcomingRamadan();
+
+    sighting.overrides[hijriYear] = {
+        ...sighting.overrides[hijriYear],
+        start: toDateKey(getIslamicDate())
+    };
+    saveSighting();
+    return true;
+}
+
+/**
+ * Declare that Eid is tomorrow, making today the last day of Ramadan
+ * The moon is announced after Maghrib, when the Islamic day has already moved on,
+ * so the last fast is the calendar day the announcement evening belongs to
+ * @returns {boolean} Whether the declaration was accepted
+ */
+export function declareEidTomorrow() {
+    const day = getCurrentRamadanDay();
+    if (!day || day < 29) return false;
+
+    const { hijriYear } = getUpcomingRamadan();
+
+    sighting.overrides[hijriYear] = {
+        ...sighting.overrides[hijriYear],
+        end: toDateKey(getNow())
+    };
+    saveSighting();
+    return true;
+}
+
+/**
+ * Clear declared start/end dates and the offset
+ */
+export function resetSighting() {
+    sighting = { offset: 0, overrides: {} };
+    saveSighting();
+}
+
+/**
+ * Get recorded Shawwal fasts for the Ramadan of a Hijri year
+ * @param {number} hijriYear
+ * @returns {Array<string>} Dates as YYYY-MM-DD
+ */
+export function getShawwalFasts(hijriYear) {
+    try {
+        const saved = JSON.parse(localStorage.getItem(SHAWWAL_STORAGE_KEY)) || {};
+        return saved[hijriYear] || [];
+    } catch (error) {
+        console.error('Failed to load Shawwal fasts:', error);
+        return [];
+    }
+}
+
+/**
+ * Mark or unmark a Shawwal fast
+ * @param {number} hijriYear
+ * @param {string} dateKey - YYYY-MM-DD
+ */
+export function toggleShawwalFast(hijriYear, dateKey) {
+    try {
+        const saved = JSON.parse(localStorage.getItem(SHAWWAL_STORAGE_KEY)) || {};
+        const fasts = saved[hijriYear] || [];
+
+        saved[hijriYear] = fasts.includes(dateKey)
+            ? fasts.filter(d => d !== dateKey)
+            : [...fasts, dateKey].slice(0, SHAWWAL_FASTS);
+
+        localStorage.setItem(SHAWWAL_STORAGE_KEY, JSON.stringify(saved));
+    } catch (error) {
+        console.error('Failed to save Shawwal fast:', error);
+    }
+}
+
 /**
  * Format countdown for display
  * @param {Object} countdown 
@@ -103,12 +445,53 @@ export function formatCountdown(countdown) {
 }
 
 /**
- * Render Ramadan status to DOM
+ * Key identifying which hero view applies; a change forces a full re-render
+ * @param {Object} status - From getRamadanStatus()
+ * @returns {string}
+ */
+function getViewKey(status) {
+    return [
+        status.phase,
+        status.phaseDay,
+        status.totalDays,
+        status.daysUntil,
+        status.qadrNight ? status.qadrNight.night : ''
+    ].join(':');
+}
+
+/**
+ * Render Ramadan status to DOM and keep it live
+ * Re-renders when the phase or day changes and ticks the countdowns in between
  * @param {HTMLElement} container 
  */
 export function renderRamadanStatus(container) {
-    const status = getRamadanStatus();
+    // Only one live hero at a time
+    if (heroUnsubscribe) heroUnsubscribe();
+
+    let viewKey = null;
+
+    const update = () => {
+        const status = getRamadanStatus();
+        const key = getViewKey(status);
 
+        if (key !== viewKey) {
+            viewKey = key;
+            renderStatusView(container, status);
+        } else {
+            updateLiveFields(container, status);
+        }
+    };
+
+    update();
+    heroUnsubscribe = onTick(update);
+}
+
+/**
+ * Render the hero view for a status
+ * @param {HTMLElement} container
+ * @param {Object} status - From getRamadanStatus()
+ */
+function renderStatusView(container, status) {
     if (status.isRamadan) {
         // During Ramadan - show day tracker
         const phaseLabels = {
@@ -123,14 +506,29 @@ export function renderRamadanStatus(container) {
             <div class="ramadan-day">
                 Maalinta
                 <span class="day-number">${status.currentDay}</span>
-                ka mid ah 30
+                ka mid ah ${status.totalDays}
             </div>
+            <div class="fasting-countdown" data-fasting></div>
+            ${status.qadrNight ? '<div class="qadr-panel" data-qadr></div>' : ''}
+            ${isZakatReminderDue(status) ? '<div class="zakat-reminder" data-zakat></div>' : ''}
             <div class="ramadan-progress">
                 <div class="progress-bar">
                     <div class="progress-fill" style="width: ${status.progress}%"></div>
                 </div>
             </div>
         `;
+
+        // Suhoor / iftar countdown next to the day tracker
+        renderFastingCountdown(container.querySelector('[data-fasting]'));
+
+        // Odd nights of the last ten
+        renderQadrPanel(container.querySelector('[data-qadr]'), status);
+
+        // Zakat al-Fitr before Eid
+        renderZakatReminder(container.querySelector('[data-zakat]'), status);
+    } else if (SEASON_VIEWS[status.phase]) {
+        // Eid, Shawwal, Dhul Hijjah, Ashura, white days
+        renderSeason(container, status);
     } else {
         // Before Ramadan - show countdown
         const { days, hours, minutes, seconds } = status.countdown;
@@ -140,54 +538,217 @@ export function renderRamadanStatus(container) {
             <h1 class="ramadan-title">رَمَضَان كَرِيم</h1>
             <div class="ramadan-countdown">
                 <div class="countdown-item">
-                    <span class="countdown-value" id="days">${days}</span>
+                    <span class="countdown-value" data-countdown="days">${days}</span>
                     <span class="countdown-label">Maalin</span>
                 </div>
                 <div class="countdown-item">
-                    <span class="countdown-value" id="hours">${hours}</span>
+                    <span class="countdown-value" data-countdown="hours">${hours}</span>
                     <span class="countdown-label">Saacad</span>
                 </div>
                 <div class="countdown-item">
-                    <span class="countdown-value" id="minutes">${minutes}</span>
+                    <span class="countdown-value" data-countdown="minutes">${minutes}</span>
                     <span class="countdown-label">Daqiiqo</span>
                 </div>
                 <div class="countdown-item">
-                    <span class="countdown-value" id="seconds">${seconds}</span>
+                    <span class="countdown-value" data-countdown="seconds">${seconds}</span>
                     <span class="countdown-label">Ilbiriqsi</span>
                 </div>
             </div>
         `;
+    }
+}
 
-        // Start countdown timer
-        startCountdownTimer();
+/**
+ * Tick the countdowns of the current view without re-rendering it
+ * @param {HTMLElement} container
+ * @param {Object} status - From getRamadanStatus()
+ */
+function updateLiveFields(container, status) {
+    container.querySelectorAll('[data-countdown]').forEach(el => {
+        el.textContent = status.countdown[el.dataset.countdown];
+    });
+
+    if (!status.isRamadan) return;
+
+    updateQadrCountdown(container.querySelector('[data-qadr]'), status);
+
+    const event = getNextFastingEvent();
+    if (!event) return;
+
+    const valueEl = container.querySelector('[data-fasting-value]');
+    const labelEl = container.querySelector('[data-fasting-label]');
+
+    if (valueEl) valueEl.textContent = formatDuration(event.time - getNow());
+    if (labelEl) labelEl.textContent = `${FASTING_LABELS[event.type]} · ${formatTime(event.time)}`;
+}
+
+/**
+ * Hero content for the year-round phases
+ */
+const SEASON_VIEWS = {
+    'eid-fitr': {
+        label: 'Ciidul Fitri',
+        title: 'عِيد مُبَارَك',
+        text: () => 'Ciid wanaagsan! Alle ha naga aqbalo soonka iyo cibaadada.'
+    },
+    shawwal: {
+        label: 'Lixda Shawwaal',
+        title: 'سِتٌّ مِنْ شَوَّال',
+        text: status => `Maalinta ${status.phaseDay} ee Shawwaal — soom lix maalmood ka hor dhammaadka bisha.`
+    },
+    'dhul-hijjah': {
+        label: 'Tobanka Dul Xijjo',
+        title: 'عَشْرُ ذِي الحِجَّة',
+        text: status => `Maalinta ${status.phaseDay} ka mid ah 10 — maalmaha ugu khayrka badan adduunka.`
+    },
+    arafah: {
+        label: 'Maalinta Carafo',
+        title: 'يَوْمُ عَرَفَة',
+        text: () => 'Soonka maalinta Carafo wuxuu dhaafaa dambiyada sannadkii hore iyo kan xiga.'
+    },
+    'eid-adha': {
+        label: 'Ciidul Adxa',
+        title: 'عِيد الأَضْحَى مُبَارَك',
+        text: status => status.phaseDay === 1
+            ? 'Ciid wanaagsan! Maanta waa maalinta udxiyadda.'
+            : `Ayaamul Tashriiq — maalinta ${status.phaseDay} ee Ciidda. Ha soomin.`
+    },
+    ashura: {
+        label: 'Caashuura',
+        title: 'عَاشُورَاء',
+        text: status => status.phaseDay === 9
+            ? 'Maanta waa Taasuucaa (9 Muxarram) — soom la jir Caashuura.'
+            : 'Soonka Caashuura wuxuu dhaafaa dambiyada sannadkii hore.'
+    },
+    'white-days': {
+        label: 'Ayaamul Biid',
+        title: 'الأَيَّامُ البِيض',
+        text: status => `Maalinta ${status.phaseDay} ee bisha — soonka saddexda maalmood ee cadcad.`
+    }
+};
+
+/**
+ * Render a year-round phase in the hero
+ * @param {HTMLElement} container
+ * @param {Object} status - From getRamadanStatus()
+ */
+function renderSeason(container, status) {
+    const view = SEASON_VIEWS[status.phase];
+
+    container.innerHTML = `
+        <span class="ramadan-label">${view.label}</span>
+        <h1 class="ramadan-title">${view.title}</h1>
+        <p class="season-text">${view.text(status)}</p>
+        ${status.phase === 'shawwal' ? '<div class="shawwal-tracker" id="shawwal-tracker"></div>' : ''}
+        <span class="season-next">Ramadaanka xiga: ${status.daysUntil} maalmood</span>
+    `;
+
+    const tracker = container.querySelector('#shawwal-tracker');
+    if (tracker) {
+        renderShawwalTracker(tracker, status.hijriDate.year);
     }
 }
 
 /**
- * Start live countdown timer
+ * Render the six days of Shawwal tracker
+ * @param {HTMLElement} container
+ * @param {number} hijriYear - Year of the Ramadan just completed
  */
-function startCountdownTimer() {
-    setInterval(() => {
-        const countdown = getCountdown();
+function renderShawwalTracker(container, hijriYear) {
+    const fasts = getShawwalFasts(hijriYear);
+    const todayKey = toDateKey(getIslamicDate());
+    const fastedToday = fasts.includes(todayKey);
+
+    container.innerHTML = `
+        <div class="shawwal-days">
+            ${Array.from({ length: SHAWWAL_FASTS }, (_, i) =>
+                `<span class="shawwal-day ${i < fasts.length ? 'done' : ''}">${i + 1}</span>`
+            ).join('')}
+        </div>
+        <button class="shawwal-toggle ${fastedToday ? 'active' : ''}" id="shawwal-toggle">
+            ${fastedToday ? 'Maanta waan soomay ✓' : 'Maanta waan soomay'}
+        </button>
+    `;
+
+    container.querySelector('#shawwal-toggle').addEventListener('click', () => {
+        toggleShawwalFast(hijriYear, todayKey);
+        renderShawwalTracker(container, hijriYear);
+    });
+}
+
+// Countdown labels for the next fasting boundary
+const FASTING_LABELS = {
+    suhoor: 'ilaa Suxuurta',
+    iftar: 'ilaa Afurka'
+};
+
+/**
+ * Render suhoor/iftar countdown, or a location prompt if none is saved
+ * @param {HTMLElement} container
+ */
+function renderFastingCountdown(container) {
+    if (!container) return;
+
+    const event = getNextFastingEvent();
+
+    if (!event) {
+        container.innerHTML = `
+            <button class="fasting-locate" data-fasting-locate>
+                Isticmaal goobtayda si aad u aragto waqtiga afurka iyo suxuurta
+            </button>
+        `;
+
+        container.querySelector('[data-fasting-locate]').addEventListener('click', async () => {
+            try {
+                await requestGeolocation();
+                renderFastingCountdown(container);
+            } catch (error) {
+                console.error('Failed to get location:', error);
+            }
+        });
+        return;
+    }
 
-        const daysEl = document.getElementById('days');
-        const hoursEl = document.getElementById('hours');
-        const minutesEl = document.getElementById('minutes');
-        const secondsEl = document.getElementById('seconds');
+    const { method } = getCalculationSettings();
+    const { latitude, longitude } = getLocation();
 
-        if (daysEl) daysEl.textContent = countdown.days;
-        if (hoursEl) hoursEl.textContent = countdown.hours;
-        if (minutesEl) minutesEl.textContent = countdown.minutes;
-        if (secondsEl) secondsEl.textContent = countdown.seconds;
+    container.innerHTML = `
+        <span class="fasting-value" data-fasting-value>${formatDuration(event.time - getNow())}</span>
+        <span class="fasting-label" data-fasting-label>${FASTING_LABELS[event.type]} · ${formatTime(event.time)}</span>
+        <div class="fasting-meta">
+            <span>${latitude.toFixed(2)}°, ${longitude.toFixed(2)}°</span>
+            <select class="fasting-method" data-fasting-method>
+                ${Object.entries(METHODS).map(([key, m]) =>
+                    `<option value="${key}" ${key === method ? 'selected' : ''}>${m.name}</option>`
+                ).join('')}
+            </select>
+        </div>
+    `;
 
-    }, 1000);
+    container.querySelector('[data-fasting-method]').addEventListener('change', (e) => {
+        setCalculationSettings({ method: e.target.value });
+        renderFastingCountdown(container);
+    });
 }
 
 export default {
+    getIslamicDate,
+    onDayChange,
+    getRamadanDates,
+    getUpcomingRamadan,
     isRamadan,
     getDaysUntilRamadan,
     getCurrentRamadanDay,
     getCountdown,
     getRamadanStatus,
+    getHijriDate,
+    getShawwalFasts,
+    toggleShawwalFast,
+    getSightingSettings,
+    setSightingOffset,
+    canDeclareRamadanStarted,
+    declareRamadanStarted,
+    declareEidTomorrow,
+    resetSighting,
     renderRamadanStatus
 };
@@ -0,0 +1,218 @@
+/**
+ * Reading Module - Last-read position and named ayah bookmarks
+ * Powers the "Sii wad akhriska" card at the top of the Quran section
+ */
+
+import { getAyahLink } from './favorites.js';
+
+// Storage key
+const STORAGE_KEY = 'hadiye_reading';
+
+// Event dispatched on window when the card needs redrawing
+export const READING_EVENT = 'hadiye:readingchange';
+
+// Deep link that reopens the last-read position (also the manifest shortcut)
+export const CONTINUE_LINK = '#quran?continue';
+
+// { lastRead: { surah, name, ayah, count, savedAt } | null, bookmarks: [{ id, name, surah, surahName, ayah, savedAt }] }
+let reading = loadReading();
+
+/**
+ * Load reading state from localStorage
+ * @returns {Object}
+ */
+function loadReading() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        return {
+            lastRead: saved?.lastRead || null,
+            bookmarks: Array.isArray(saved?.bookmarks) ? saved.bookmarks : []
+        };
+    } catch (error) {
+        return { lastRead: null, bookmarks: [] };
+    }
+}
+
+/**
+ * Save reading state to localStorage
+ */
+function saveReading() {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(reading));
+    } catch (error) {
+        console.error('Failed to save reading position:', error);
+    }
+}
+
+/**
+ * Notify the app that the card needs redrawing
+ */
+function notifyChange() {
+    window.dispatchEvent(new CustomEvent(READING_EVENT));
+}
+
+/**
+ * Get the last-read position
+ * @returns {Object|null} { surah, name, ayah, count, savedAt }
+ */
+export function getLastRead() {
+    return reading.lastRead;
+}
+
+/**
+ * Remember where the reader is
+ * Called while scrolling, so the card is only redrawn when asked
+ * @param {Object} position - { surah, name, ayah, count }
+ * @param {boolean} notify - Dispatch READING_EVENT
+ */
+export function setLastRead(position, notify = false) {
+    const { surah, name, ayah, count } = position;
+    const last = reading.lastRead;
+
+    if (last && last.surah === surah && last.ayah === ayah) {
+        if (notify) notifyChange();
+        return;
+    }
+
+    reading = { ...reading, lastRead: { surah, name, ayah, count, savedAt: new Date().toISOString() } };
+    saveReading();
+    if (notify) notifyChange();
+}
+
+/**
+ * Get bookmarks, newest first
+ * @returns {Array}
+ */
+export function getBookmarks() {
+    return [...reading.bookmarks].sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+}
+
+/**
+ * Bookmark an ayah
+ * @param {Object} position - { surah, name, ayah }
+ * @param {string} label - Optional bookmark name
+ * @returns {Object} The new bookmark
+ */
+export function addBookmark(position, label = '') {
+    const bookmark = {
+        id: `bookmark-${Date.now()}`,
+        name: label || `${position.name} ${position.ayah}`,
+        surah: position.surah,
+        surahName: position.name,
+        ayah: position.ayah,
+        savedAt: new Date().toISOString()
+    };
+
+    reading = { ...reading, bookmarks: [...reading.bookmarks, bookmark] };
+    saveReading();
+    notifyChange();
+    return bookmark;
+}
+
+/**
+ * Rename a bookmark
+ * No change event, so the card keeps its focus while typing
+ * @param {string} id
+ * @param {string} name
+ */
+export function renameBookmark(id, name) {
+    reading = { ...reading, bookmarks: reading.bookmarks.map(b => b.id === id ? { ...b, name } : b) };
+    saveReading();
+}
+
+/**
+ * Remove a bookmark
+ * @param {string} id
+ */
+export function removeBookmark(id) {
+    reading = { ...reading, bookmarks: reading.bookmarks.filter(b => b.id !== id) };
+    saveReading();
+    notifyChange();
+}
+
+/**
+ * Escape text for HTML
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+/**
+ * Render the "Sii wad akhriska" card and bookmarks
+ * @param {HTMLElement} container
+ */
+export function renderReading(container) {
+    if (!container) return;
+
+    const last = reading.lastRead;
+    const bookmarks = getBookmarks();
+
+    // Nothing read yet
+    container.hidden = !last && !bookmarks.length;
+    if (container.hidden) {
+        container.innerHTML = '';
+        return;
+    }
+
+    const progress = last?.count ? Math.round((last.ayah / last.count) * 100) : 0;
+
+    container.innerHTML = `
+        ${last ? `
+            <a class="reading-continue" href="${CONTINUE_LINK}">
+                <span class="reading-label">Sii wad akhriska</span>
+                <span class="reading-surah" dir="rtl">سورة ${escapeHtml(last.name)}</span>
+                <span class="reading-ayah">Aayadda ${last.ayah}${last.count ? ` / ${last.count}` : ''}</span>
+                <span class="reading-progress"><span style="width: ${progress}%"></span></span>
+            </a>
+        ` : ''}
+        ${bookmarks.length ? `
+            <div class="reading-bookmarks">
+                <h3 class="reading-bookmarks-label">Calaamadaha <span>${bookmarks.length}</span></h3>
+                ${bookmarks.map(b => `
+                    <div class="reading-bookmark" data-id="${escapeHtml(b.id)}">
+                        <input class="reading-bookmark-name" type="text" value="${escapeHtml(b.name)}"
+                            aria-label="Magaca calaamadda">
+                        <span class="reading-bookmark-ref" dir="rtl">${escapeHtml(b.surahName)}:${b.ayah}</span>
+                        <a class="reading-bookmark-open" href="${getAyahLink(b.surah, b.ayah)}">Fur</a>
+                        <button class="reading-bookmark-remove" aria-label="Ka saar">×</button>
+                    </div>
+                `).join('')}
+            </div>
+        ` : ''}
+    `;
+
+    container.querySelectorAll('.reading-bookmark').forEach(el => {
+        const { id } = el.dataset;
+
+        el.querySelector('.reading-bookmark-remove').addEventListener('click', () => removeBookmark(id));
+        el.querySelector('.reading-bookmark-name').addEventListener('input', (e) => renameBookmark(id, e.target.value));
+    });
+}
+
+/**
+ * Initialize the "Sii wad akhriska" card
+ */
+export function initReading() {
+    const container = document.getElementById('reading-card');
+    if (!container) return;
+
+    renderReading(container);
+    window.addEventListener(READING_EVENT, () => renderReading(container));
+}
+
+export default {
+    READING_EVENT,
+    CONTINUE_LINK,
+    getLastRead,
+    setLastRead,
+    getBookmarks,
+    addBookmark,
+    renameBookmark,
+    removeBookmark,
+    renderReading,
+    initReading
+};
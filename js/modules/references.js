@@ -0,0 +1,116 @@
+/**
+ * References Module - Parse and resolve ayah references
+ * Handles "القدر:1", "العصر:1-2" or "97:1"; hadith attributions are not ayah references
+ */
+
+import { getAllSurahs } from './quran.js';
+import { normalizeArabic, toAsciiDigits } from './arabic.js';
+
+// "<surah>:<ayah>" or "<surah>:<from>-<to>"
+const REFERENCE_PATTERN = /^(.+?)\s*[:：]\s*(\d+)(?:\s*[-–]\s*(\d+))?$/;
+
+// Optional "سورة" prefix before a surah name (as normalized)
+const SURAH_PREFIX = /^سوره\s+/;
+
+/**
+ * Parse a reference string
+ * @param {string} reference - e.g. "العصر:1-2"
+ * @returns {Object|null} { surah, from, to } (surah is a name or number), or null if not an ayah reference
+ */
+export function parseReference(reference) {
+    if (!reference) return null;
+
+    const match = toAsciiDigits(reference.trim()).match(REFERENCE_PATTERN);
+    if (!match) return null;
+
+    const [, surah, from, to] = match;
+
+    return {
+        surah: /^\d+$/.test(surah) ? parseInt(surah) : surah.trim(),
+        from: parseInt(from),
+        to: parseInt(to || from)
+    };
+}
+
+/**
+ * Find a surah by name, ignoring diacritics and spelling variants
+ * @param {string} name
+ * @returns {Promise<Object|null>} Surah
+ */
+async function findSurahByName(name) {
+    const target = normalizeArabic(name).replace(SURAH_PREFIX, '');
+    const surahs = await getAllSurahs();
+
+    return surahs.find(s => normalizeArabic(s.name) === target) || null;
+}
+
+/**
+ * Resolve a reference against the Quran data
+ * @param {string} reference
+ * @returns {Promise<Object|null>} { surah, name, from, to } or null if it does not resolve
+ */
+export async function resolveReference(reference) {
+    const parsed = parseReference(reference);
+    if (!parsed) return null;
+
+    // The surah index is enough to check ayah ranges
+    const surah = typeof parsed.surah === 'number'
+        ? (await getAllSurahs()).find(s => s.n === parsed.surah)
+        : await findSurahByName(parsed.surah);
+
+    if (!surah) return null;
+
+    const { from, to } = parsed;
+    if (from < 1 || to < from || to > surah.c) return null;
+
+    return { surah: surah.n, name: surah.name, from, to };
+}
+
+/**
+ * Check every reflection reference
+ * Ayah references that fail to resolve are errors; non-ayah attributions are noted
+ * The verse-of-the-day list must hold ayah references only
+ * @param {Object} data - Parsed reflections.json
+ * @returns {Promise<Array>} [{ day, label, reference, level: 'error'|'info', message }]
+ */
+export async function validateReflections(data) {
+    const entries = [
+        { day: null, reference: data.preparation?.surah },
+        ...data.daily.map(r => ({ day: r.day, reference: r.surah })),
+        ...(data.series || []).flatMap(series => series.entries.map((r, i) => ({
+            day: null,
+            label: `${series.title} ${r.day || i + 1}`,
+            reference: r.surah
+        }))),
+        ...(data.verseOfTheDay?.curated || []).map(reference => ({
+            day: null,
+            label: 'Aayadda Maanta',
+            reference,
+            ayahOnly: true
+        }))
+    ];
+
+    const issues = [];
+
+    for (const { day, label, reference, ayahOnly } of entries) {
+        if (!parseReference(reference)) {
+            issues.push({
+                day,
+                label,
+                reference,
+                level: ayahOnly ? 'error' : 'info',
+                message: 'Not an ayah reference'
+            });
+        } else if (!(await resolveReference(reference))) {
+            issues.push({ day, label, reference, level: 'error', message: 'Ayah reference does not resolve' });
+        }
+    }
+
+    return issues;
+}
+
+export default {
+    parseReference,
+    resolveReference,
+    validateReflections
+};
@@ -0,0 +1,253 @@
+/**
+ * Search Module - Full-text search across every ayah
+ * Plain-keyboard queries match the Uthmani text regardless of diacritics
+ */
+
+import { getAllSurahs, getSurah, getAyahText, searchSurahs, openSurahViewer } from './quran.js';
+import { SUPERSCRIPT_ALEF, normalizeWithMap, normalizeArabic, toAsciiDigits } from './arabic.js';
+
+// Delay after the last keystroke before searching, in ms
+const SEARCH_DELAY = 250;
+
+// Shortest normalized query worth searching
+const MIN_QUERY_LENGTH = 2;
+
+// Results rendered at once
+const MAX_RESULTS = 50;
+
+// Characters of context on each side of a match
+const SNIPPET_CONTEXT = 40;
+
+// Normalized ayahs: [{ surah, name, ayah, original, text, map }]
+let searchIndex = null;
+
+// Index build in progress, shared by searches typed while it runs
+let indexRequest = null;
+
+/**
+ * Build the search index on first use
+ * Needs every surah's verses, so the first search fetches any not yet loaded
+ * @returns {Promise<Array>}
+ */
+function getSearchIndex() {
+    if (searchIndex) return Promise.resolve(searchIndex);
+
+    if (!indexRequest) {
+        indexRequest = getAllSurahs()
+            .then(all => Promise.all(all.map(s => getSurah(s.n))))
+            .then(surahs => {
+                // A surah that failed to load (e.g. offline) leaves the index incomplete; retry next time
+                if (!surahs.length || surahs.some(s => !s)) {
+                    indexRequest = null;
+                    return surahs.filter(Boolean).flatMap(indexSurah);
+                }
+
+                searchIndex = surahs.flatMap(indexSurah);
+                return searchIndex;
+            });
+    }
+
+    return indexRequest;
+}
+
+/**
+ * Normalized entries for each ayah of a surah
+ * @param {Object} surah - Surah with verses
+ * @returns {Array}
+ */
+function indexSurah(surah) {
+    return surah.v.map((_, i) => {
+        const original = getAyahText(surah, i + 1);
+        return { surah: surah.n, name: surah.name, ayah: i + 1, original, ...normalizeWithMap(original, { markSuperscriptAlef: true }) };
+    });
+}
+
+/**
+ * Escape a string for use in a RegExp
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build the matcher for a normalized query
+ * The mushaf often writes a long alef as a superscript alef, kept as a mark in
+ * the index, so a query matches with or without that alef ("العالمين" and
+ * "العلمين" both find "ٱلْعَٰلَمِينَ") while other alefs stay required.
+ * It also joins the vocative to its noun, so the space after "يا" is optional.
+ * @param {string} query - Normalized query
+ * @returns {RegExp}
+ */
+function buildMatcher(query) {
+    const pattern = [...query].map((ch, i) => {
+        if (ch === ' ') return /(^| )يا$/.test(query.slice(0, i)) ? ' ?' : ' ';
+
+        const letter = ch === 'ا' && i > 0 && query[i - 1] !== ' '
+            ? `[ا${SUPERSCRIPT_ALEF}]`
+            : escapeRegExp(ch);
+        return `${letter}${SUPERSCRIPT_ALEF}?`;
+    }).join('');
+
+    return new RegExp(pattern);
+}
+
+/**
+ * Cut a snippet around a match, on word boundaries
+ * @param {string} text - Original ayah text
+ * @param {number} start - Match start in text
+ * @param {number} end - Match end in text
+ * @returns {Object} { before, match, after }
+ */
+function getSnippet(text, start, end) {
+    let from = Math.max(0, start - SNIPPET_CONTEXT);
+    let to = Math.min(text.length, end + SNIPPET_CONTEXT);
+
+    if (from > 0) from = text.indexOf(' ', from) + 1 || start;
+    if (to < text.length) to = text.lastIndexOf(' ', to) > end ? text.lastIndexOf(' ', to) : end;
+
+    return {
+        before: `${from > 0 ? '… ' : ''}${text.slice(from, start)}`,
+        match: text.slice(start, end),
+        after: `${text.slice(end, to)}${to < text.length ? ' …' : ''}`
+    };
+}
+
+/**
+ * Search the text of every ayah
+ * @param {string} query - Any spelling, with or without diacritics
+ * @param {number} limit - Most results to return
+ * @returns {Promise<Object>} { total, results: [{ surah, name, ayah, snippet }] }
+ */
+export async function searchAyahs(query, limit = MAX_RESULTS) {
+    const normalized = normalizeArabic(query || '');
+    if (normalized.length < MIN_QUERY_LENGTH) return { total: 0, results: [] };
+
+    const matcher = buildMatcher(normalized);
+    const index = await getSearchIndex();
+    const results = [];
+    let total = 0;
+
+    index.forEach(entry => {
+        const match = matcher.exec(entry.text);
+        if (!match) return;
+
+        total++;
+        if (results.length >= limit) return;
+
+        // Map the normalized match back onto the original text, keeping its marks
+        const start = entry.map[match.index];
+        const lastIndex = match.index + match[0].length;
+        const end = lastIndex < entry.map.length ? entry.map[lastIndex] : entry.original.length;
+
+        results.push({
+            surah: entry.surah,
+            name: entry.name,
+            ayah: entry.ayah,
+            snippet: getSnippet(entry.original, start, end)
+        });
+    });
+
+    return { total, results };
+}
+
+/**
+ * Escape text for HTML
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+/**
+ * Render ayah results
+ * @param {HTMLElement} container
+ * @param {Object} found - From searchAyahs()
+ */
+function renderResults(container, found) {
+    const { total, results } = found;
+
+    if (!total) {
+        container.innerHTML = '<p class="search-empty">Aayad lama helin.</p>';
+        return;
+    }
+
+    container.innerHTML = `
+        <p class="search-count">${total} aayadood${total > results.length ? ` · ${results.length} ugu horreeya` : ''}</p>
+        ${results.map(r => `
+            <button class="search-result" data-surah="${r.surah}" data-ayah="${r.ayah}">
+                <span class="search-result-ref">${escapeHtml(r.name)} : ${r.ayah}</span>
+                <span class="search-result-text" dir="rtl">${escapeHtml(r.snippet.before)}<mark>${escapeHtml(r.snippet.match)}</mark>${escapeHtml(r.snippet.after)}</span>
+            </button>
+        `).join('')}
+    `;
+}
+
+/**
+ * Show only the surah cards whose name or number matches
+ * @param {string} query
+ */
+async function filterSurahGrid(query) {
+    const matches = new Set((await searchSurahs(query)).map(s => s.n));
+
+    document.querySelectorAll('#surah-grid .surah-card').forEach(card => {
+        card.hidden = !matches.has(parseInt(card.dataset.surah));
+    });
+}
+
+/**
+ * Initialize the Quran search bar
+ */
+export function initSearch() {
+    const input = document.getElementById('quran-search');
+    const container = document.getElementById('search-results');
+    if (!input || !container) return;
+
+    let timer = null;
+
+    // Bumped by every search, so a slow one can't overwrite a newer one's results
+    let searchId = 0;
+
+    const run = async () => {
+        const id = ++searchId;
+        const query = input.value.trim();
+        await filterSurahGrid(toAsciiDigits(query));
+        if (id !== searchId) return;
+
+        // Names and numbers filter the grid; ayah text needs a word
+        if (normalizeArabic(query).length < MIN_QUERY_LENGTH || /^\d+$/.test(toAsciiDigits(query))) {
+            container.hidden = true;
+            container.innerHTML = '';
+            return;
+        }
+
+        container.hidden = false;
+        if (!searchIndex) container.innerHTML = '<p class="search-empty">Raadinaya…</p>';
+        const found = await searchAyahs(query);
+        if (id !== searchId) return;
+
+        renderResults(container, found);
+    };
+
+    input.addEventListener('input', () => {
+        clearTimeout(timer);
+        timer = setTimeout(run, SEARCH_DELAY);
+    });
+
+    container.addEventListener('click', (e) => {
+        const result = e.target.closest('.search-result');
+        if (!result) return;
+
+        const ayah = parseInt(result.dataset.ayah);
+        openSurahViewer(parseInt(result.dataset.surah), { from: ayah, to: ayah });
+    });
+}
+
+export default {
+    searchAyahs,
+    initSearch
+};
@@ -0,0 +1,355 @@
+/**
+ * Settings Module - Preferences panel
+ * Language, verse of the day, moon sighting, date preview, content checks and other app-wide options
+ */
+
+import {
+    MAX_SIGHTING_OFFSET,
+    getRamadanStatus,
+    getSightingSettings,
+    setSightingOffset,
+    canDeclareRamadanStarted,
+    declareRamadanStarted,
+    declareEidTomorrow,
+    resetSighting
+} from './ramadan.js';
+import { getNow, getPreview, setPreview, clearPreview } from './clock.js';
+import { VERSE_SOURCES, getVerseSource, setVerseSource, validateCibroContent } from './cibro.js';
+import { getAllSurahs } from './quran.js';
+import { getQuranMeta, validateQuranMeta } from './mushaf.js';
+import { LANGUAGES, getLanguage, setLanguage } from './language.js';
+
+// Event dispatched on window whenever a setting changes
+export const SETTINGS_EVENT = 'hadiye:settingschange';
+
+/**
+ * Notify the app that settings changed
+ */
+function notifyChange() {
+    window.dispatchEvent(new CustomEvent(SETTINGS_EVENT));
+}
+
+/**
+ * Format a date as "18 Feb"
+ * @param {Date} date
+ * @returns {string}
+ */
+function formatShortDate(date) {
+    return date.toLocaleDateString('en-GB', { day: 'numeric', month: 'short' });
+}
+
+/**
+ * Render content language choice
+ * @param {HTMLElement} container
+ */
+function renderLanguageSettings(container) {
+    const current = getLanguage();
+
+    container.innerHTML = `
+        <h3 class="settings-label">Luqadda</h3>
+        <p class="settings-hint">Luqadda cibrada iyo macnaha du'ada. Soomaali ayaa la isticmaalayaa marka tarjumaad la waayo.</p>
+        <div class="settings-row">
+            <span>Cibro</span>
+            <select class="settings-select" id="language-select">
+                ${Object.entries(LANGUAGES).map(([code, lang]) =>
+                    `<option value="${code}" ${code === current ? 'selected' : ''}>${lang.name}</option>`
+                ).join('')}
+            </select>
+        </div>
+    `;
+
+    container.querySelector('#language-select').addEventListener('change', (e) => {
+        setLanguage(e.target.value);
+        notifyChange();
+    });
+}
+
+/**
+ * Render verse-of-the-day source choice
+ * @param {HTMLElement} container
+ */
+function renderVerseSettings(container) {
+    const current = getVerseSource();
+
+    container.innerHTML = `
+        <h3 class="settings-label">Aayadda Maanta</h3>
+        <p class="settings-hint">Ramadaanka ka baxsan, Cibro waxay maalin walba tusaysaa aayad. Ka dooro liis la soo xulay ama Quraanka oo dhan.</p>
+        <div class="settings-row">
+            <span>Aayadaha</span>
+            <select class="settings-select" id="verse-source-select">
+                ${Object.entries(VERSE_SOURCES).map(([key, label]) =>
+                    `<option value="${key}" ${key === current ? 'selected' : ''}>${label}</option>`
+                ).join('')}
+            </select>
+        </div>
+    `;
+
+    container.querySelector('#verse-source-select').addEventListener('change', (e) => {
+        setVerseSource(e.target.value);
+        notifyChange();
+    });
+}
+
+/**
+ * Render moon-sighting controls
+ * @param {HTMLElement} container
+ */
+function renderSightingSettings(container) {
+    const { offset } = getSightingSettings();
+    const status = getRamadanStatus();
+
+    const offsets = [];
+    for (let d = -MAX_SIGHTING_OFFSET; d <= MAX_SIGHTING_OFFSET; d++) {
+        offsets.push(d);
+    }
+
+    container.innerHTML = `
+        <h3 class="settings-label">Muuqashada Bisha</h3>
+        <p class="settings-hint">
+            Ramadaan ${status.hijriYear}: ${formatShortDate(status.start)} – ${formatShortDate(status.end)}
+            (${status.totalDays} maalmood)
+        </p>
+        <div class="settings-row">
+            <span>Dhaqaaji</span>
+            <select class="settings-select" id="sighting-offset">
+                ${offsets.map(d =>
+                    `<option value="${d}" ${d === offset ? 'selected' : ''}>${d > 0 ? '+' : ''}${d} maalin</option>`
+                ).join('')}
+            </select>
+        </div>
+        <div class="settings-actions">
+            ${canDeclareRamadanStarted() ? '<button class="settings-btn" id="sighting-start">Ramadaan maanta ayuu bilaabmay</button>' : ''}
+            ${status.isRamadan && status.currentDay >= 29 ? '<button class="settings-btn" id="sighting-eid">Ciidu waa berri</button>' : ''}
+            <button class="settings-btn secondary" id="sighting-reset">Dib u celi</button>
+        </div>
+    `;
+
+    const rerender = () => {
+        renderSightingSettings(container);
+        notifyChange();
+    };
+
+    container.querySelector('#sighting-offset').addEventListener('change', (e) => {
+        setSightingOffset(parseInt(e.target.value));
+        rerender();
+    });
+
+    container.querySelector('#sighting-start')?.addEventListener('click', () => {
+        if (declareRamadanStarted()) {
+            rerender();
+        } else {
+            alert('Ramadaanka la filayo kuma dhowa maanta.');
+        }
+    });
+
+    container.querySelector('#sighting-eid')?.addEventListener('click', () => {
+        if (declareEidTomorrow()) rerender();
+    });
+
+    container.querySelector('#sighting-reset').addEventListener('click', () => {
+        resetSighting();
+        rerender();
+    });
+}
+
+/**
+ * Format a date for a datetime-local input (local time)
+ * @param {Date} date
+ * @returns {string} YYYY-MM-DDTHH:MM
+ */
+function toInputValue(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+        `T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * Render date preview controls (developer / content QA)
+ * @param {HTMLElement} container
+ */
+function renderPreviewSettings(container) {
+    const preview = getPreview();
+
+    container.innerHTML = `
+        <h3 class="settings-label">Muuqaal Hore (Preview)</h3>
+        <p class="settings-hint">
+            Arag sida app-ku u ekaan doono taariikh kale. Waxaad sidoo kale isticmaali kartaa
+            <code>?date=2026-03-10T19:00</code>.
+        </p>
+        <div class="settings-row">
+            <input type="datetime-local" class="settings-input" id="preview-date" value="${toInputValue(getNow())}">
+            <label class="settings-check">
+                <input type="checkbox" id="preview-frozen" ${preview?.frozen ? 'checked' : ''}>
+                Jooji
+            </label>
+        </div>
+        <div class="settings-actions">
+            <button class="settings-btn" id="preview-apply">Isticmaal</button>
+            ${preview ? '<button class="settings-btn secondary" id="preview-clear">Waqtiga dhabta ah</button>' : ''}
+        </div>
+    `;
+
+    container.querySelector('#preview-apply').addEventListener('click', () => {
+        const value = container.querySelector('#preview-date').value;
+        if (!value) return;
+
+        setPreview(new Date(value), {
+            frozen: container.querySelector('#preview-frozen').checked
+        });
+        renderSettings();
+        notifyChange();
+    });
+
+    container.querySelector('#preview-clear')?.addEventListener('click', () => {
+        clearPreview();
+        renderSettings();
+        notifyChange();
+    });
+}
+
+/**
+ * Render the content validator (reflection references and mushaf metadata)
+ * @param {HTMLElement} container
+ */
+function renderContentCheck(container) {
+    container.innerHTML = `
+        <h3 class="settings-label">Hubinta Xogta</h3>
+        <p class="settings-hint">Hubi in tixraac kasta oo Cibro uu ku xiran yahay aayad jirta, iyo in juz'yada, xisbiyada, bogagga iyo sajdooyinka ay la jaanqaadayaan tirada aayadaha.</p>
+        <div class="settings-actions">
+            <button class="settings-btn secondary" id="content-check">Hubi</button>
+        </div>
+        <ul class="settings-issues" id="content-issues"></ul>
+    `;
+
+    container.querySelector('#content-check').addEventListener('click', async () => {
+        const list = container.querySelector('#content-issues');
+        const [reflectionIssues, meta, surahs] = await Promise.all([validateCibroContent(), getQuranMeta(), getAllSurahs()]);
+        const metaIssues = validateQuranMeta(meta, surahs);
+        const issues = [...reflectionIssues, ...metaIssues];
+
+        list.innerHTML = issues.length
+            ? issues.map(issue => `
+                <li class="settings-issue ${issue.level}">
+                    <span>${issue.label || (issue.day ? `Maalinta ${issue.day}` : 'Diyaargarow')}</span>
+                    <span class="settings-issue-ref"></span>
+                    <span>${metaIssues.includes(issue) ? 'Xad khaldan' : issue.level === 'error' ? 'Lama helin' : 'Aayad maaha'}</span>
+                </li>
+            `).join('')
+            : '<li class="settings-issue ok">Dhammaan tixraacyada iyo xogta mushafka waa sax ✓</li>';
+
+        // References are content, set as text
+        list.querySelectorAll('.settings-issue-ref').forEach((el, i) => {
+            el.textContent = issues[i].reference;
+        });
+    });
+}
+
+/**
+ * Show a banner while the app runs on a previewed clock
+ */
+function renderPreviewBanner() {
+    const banner = document.getElementById('preview-banner');
+    if (!banner) return;
+
+    const preview = getPreview();
+    banner.hidden = !preview;
+    if (!preview) return;
+
+    banner.innerHTML = `
+        <span>Preview: ${new Date(preview.time).toLocaleString('en-GB', { dateStyle: 'medium', timeStyle: 'short' })}${preview.frozen ? ' (la joojiyay)' : ''}</span>
+        <button class="preview-banner-close" aria-label="Waqtiga dhabta ah">×</button>
+    `;
+
+    banner.querySelector('.preview-banner-close').addEventListener('click', () => {
+        clearPreview();
+        notifyChange();
+    });
+}
+
+/**
+ * Render all settings sections
+ */
+function renderSettings() {
+    const body = document.getElementById('settings-body');
+    if (!body) return;
+
+    body.innerHTML = `
+        <div class="settings-section" id="settings-language"></div>
+        <div class="settings-section" id="settings-verse"></div>
+        <div class="settings-section" id="settings-sighting"></div>
+        <div class="settings-section" id="settings-preview"></div>
+        <div class="settings-section" id="settings-content"></div>
+    `;
+    renderLanguageSettings(body.querySelector('#settings-language'));
+    renderVerseSettings(body.querySelector('#settings-verse'));
+    renderSightingSettings(body.querySelector('#settings-sighting'));
+    renderPreviewSettings(body.querySelector('#settings-preview'));
+    renderContentCheck(body.querySelector('#settings-content'));
+}
+
+/**
+ * Open settings panel
+ */
+export function openSettings() {
+    const panel = document.getElementById('settings-panel');
+    if (!panel) return;
+
+    renderSettings();
+    panel.classList.add('active');
+    document.body.style.overflow = 'hidden';
+}
+
+/**
+ * Close settings panel
+ */
+export function closeSettings() {
+    const panel = document.getElementById('settings-panel');
+    if (!panel) return;
+
+    panel.classList.remove('active');
+    document.body.style.overflow = '';
+}
+
+/**
+ * Initialize settings panel
+ */
+export function initSettings() {
+    const openBtn = document.getElementById('settings-btn');
+    const closeBtn = document.getElementById('settings-close');
+    const panel = document.getElementById('settings-panel');
+
+    if (openBtn) {
+        openBtn.addEventListener('click', openSettings);
+    }
+
+    if (closeBtn) {
+        closeBtn.addEventListener('click', closeSettings);
+    }
+
+    // Click outside to close
+    if (panel) {
+        panel.addEventListener('click', (e) => {
+            if (e.target === panel) {
+                closeSettings();
+            }
+        });
+    }
+
+    // Keyboard close
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            closeSettings();
+        }
+    });
+
+    // Keep the preview banner in sync
+    renderPreviewBanner();
+    window.addEventListener(SETTINGS_EVENT, renderPreviewBanner);
+}
+
+export default {
+    SETTINGS_EVENT,
+    openSettings,
+    closeSettings,
+    initSettings
+};
@@ -0,0 +1,356 @@
+/**
+ * Share Module - Image card of the daily reflection
+ * Draws the ayah, reference and an excerpt onto a canvas for stories and posts
+ */
+
+// Card sizes in pixels
+export const SHARE_FORMATS = {
+    story: { width: 1080, height: 1920, label: 'Sheeko (9:16)' },
+    square: { width: 1080, height: 1080, label: 'Labajibbaaran (1:1)' }
+};
+
+// Palette, matching the design system in index.css
+const COLORS = {
+    background: '#0a0a0a',
+    primary: '#064e3b',
+    accent: '#d4af37',
+    text: '#f5f5f5',
+    muted: '#9ca3af'
+};
+
+const ARABIC_FONT = '"Amiri Quran", "Scheherazade New", serif';
+const BODY_FONT = 'Inter, -apple-system, BlinkMacSystemFont, sans-serif';
+
+// Card being shared and the chosen format
+let currentCard = null;
+let currentFormat = 'story';
+
+/**
+ * Wait until the card fonts are ready, so the canvas never falls back to serif
+ */
+async function loadFonts() {
+    if (!document.fonts) return;
+
+    try {
+        await Promise.all([
+            document.fonts.load(`64px ${ARABIC_FONT}`),
+            document.fonts.load(`400 32px ${BODY_FONT}`),
+            document.fonts.load(`600 32px ${BODY_FONT}`)
+        ]);
+    } catch (error) {
+        console.error('Failed to load share card fonts:', error);
+    }
+}
+
+/**
+ * Break text into lines that fit a width
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {string} text
+ * @param {number} maxWidth
+ * @returns {Array<string>}
+ */
+function wrapLines(ctx, text, maxWidth) {
+    const words = text.split(/\s+/).filter(Boolean);
+    const lines = [];
+    let line = '';
+
+    words.forEach(word => {
+        const test = line ? `${line} ${word}` : word;
+        if (ctx.measureText(test).width > maxWidth && line) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = test;
+        }
+    });
+
+    if (line) lines.push(line);
+    return lines;
+}
+
+/**
+ * Draw a centered block of wrapped text, shrinking the font until it fits
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {string} text
+ * @param {Object} box - { x, y, width, height }
+ * @param {Object} style - { font(size), size, minSize, lineHeight, color, dir }
+ * @returns {number} Bottom edge of the drawn text
+ */
+function drawTextBlock(ctx, text, box, style) {
+    let size = style.size;
+    let lines;
+
+    ctx.direction = style.dir || 'ltr';
+
+    do {
+        ctx.font = style.font(size);
+        lines = wrapLines(ctx, text, box.width);
+        if (lines.length * size * style.lineHeight <= box.height) break;
+        size -= 2;
+    } while (size > style.minSize);
+
+    const lineHeight = size * style.lineHeight;
+    const blockHeight = lines.length * lineHeight;
+    let y = box.y + (box.height - blockHeight) / 2 + lineHeight / 2;
+
+    ctx.fillStyle = style.color;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+
+    lines.forEach(line => {
+        ctx.fillText(line, box.x + box.width / 2, y);
+        y += lineHeight;
+    });
+
+    return y - lineHeight / 2;
+}
+
+/**
+ * Draw the share card
+ * @param {HTMLCanvasElement} canvas
+ * @param {Object} card - { ayah, reference, excerpt, excerptDir, label }
+ * @param {string} format - Key of SHARE_FORMATS
+ */
+export async function drawShareCard(canvas, card, format = 'story') {
+    const { width, height } = SHARE_FORMATS[format] || SHARE_FORMATS.story;
+    const story = format === 'story';
+
+    await loadFonts();
+
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+
+    // Background: deep green glow over near-black
+    ctx.fillStyle = COLORS.background;
+    ctx.fillRect(0, 0, width, height);
+
+    const glow = ctx.createRadialGradient(width / 2, 0, 0, width / 2, 0, height * 0.8);
+    glow.addColorStop(0, 'rgba(6, 78, 59, 0.9)');
+    glow.addColorStop(1, 'rgba(6, 78, 59, 0)');
+    ctx.fillStyle = glow;
+    ctx.fillRect(0, 0, width, height);
+
+    // Gold frame
+    const inset = 48;
+    ctx.strokeStyle = 'rgba(212, 175, 55, 0.35)';
+    ctx.lineWidth = 3;
+    ctx.strokeRect(inset, inset, width - inset * 2, height - inset * 2);
+
+    const padding = 120;
+    const contentWidth = width - padding * 2;
+
+    // Label, e.g. "Cibro · Maalinta 5"
+    ctx.direction = 'ltr';
+    ctx.font = `500 30px ${BODY_FONT}`;
+    ctx.fillStyle = COLORS.accent;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(card.label.toUpperCase(), width / 2, story ? 240 : 150);
+
+    // Ayah
+    const ayahTop = story ? 340 : 210;
+    const ayahBottom = drawTextBlock(ctx, card.ayah, {
+        x: padding,
+        y: ayahTop,
+        width: contentWidth,
+        height: story ? 620 : 330
+    }, {
+        font: size => `${size}px ${ARABIC_FONT}`,
+        size: story ? 84 : 68,
+        minSize: 40,
+        lineHeight: 1.9,
+        color: COLORS.text,
+        dir: 'rtl'
+    });
+
+    // Reference
+    ctx.direction = 'rtl';
+    ctx.font = `40px ${ARABIC_FONT}`;
+    ctx.fillStyle = COLORS.accent;
+    ctx.fillText(`— ${card.reference}`, width / 2, ayahBottom + 70);
+
+    // Divider
+    const dividerY = ayahBottom + 150;
+    ctx.strokeStyle = COLORS.accent;
+    ctx.globalAlpha = 0.5;
+    ctx.beginPath();
+    ctx.moveTo(width / 2 - 80, dividerY);
+    ctx.lineTo(width / 2 + 80, dividerY);
+    ctx.stroke();
+    ctx.globalAlpha = 1;
+
+    // Reflection excerpt
+    const footerY = height - (story ? 220 : 130);
+    const rtl = card.excerptDir === 'rtl';
+
+    drawTextBlock(ctx, card.excerpt, {
+        x: padding,
+        y: dividerY + 40,
+        width: contentWidth,
+        height: footerY - dividerY - 120
+    }, {
+        font: size => rtl ? `${size}px ${ARABIC_FONT}` : `300 ${size}px ${BODY_FONT}`,
+        size: story ? 46 : 36,
+        minSize: 24,
+        lineHeight: rtl ? 1.8 : 1.6,
+        color: COLORS.muted,
+        dir: card.excerptDir
+    });
+
+    // Branding
+    ctx.direction = 'ltr';
+    ctx.font = `600 40px ${BODY_FONT}`;
+    ctx.fillStyle = COLORS.accent;
+    ctx.fillText('☪  Hadiye', width / 2, footerY);
+}
+
+/**
+ * Export the canvas as a PNG file
+ * @param {HTMLCanvasElement} canvas
+ * @param {string} filename
+ * @returns {Promise<File>}
+ */
+function toPngFile(canvas, filename) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => {
+            if (!blob) {
+                reject(new Error('Canvas export failed'));
+                return;
+            }
+            resolve(new File([blob], filename, { type: 'image/png' }));
+        }, 'image/png');
+    });
+}
+
+/**
+ * Share the PNG with the Web Share API, or download it when unsupported
+ * @param {HTMLCanvasElement} canvas
+ * @param {string} filename
+ */
+export async function shareCanvas(canvas, filename) {
+    const file = await toPngFile(canvas, filename);
+
+    if (navigator.canShare?.({ files: [file] })) {
+        try {
+            await navigator.share({ files: [file], title: 'Hadiye' });
+            return;
+        } catch (error) {
+            // The user closed the share sheet
+            if (error.name === 'AbortError') return;
+            console.error('Failed to share card:', error);
+        }
+    }
+
+    const url = URL.createObjectURL(file);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Redraw the preview for the current card and format
+ */
+async function renderPreview() {
+    const canvas = document.getElementById('share-canvas');
+    if (!canvas || !currentCard) return;
+
+    document.querySelectorAll('.share-format').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.format === currentFormat);
+    });
+
+    canvas.classList.toggle('square', currentFormat === 'square');
+    await drawShareCard(canvas, currentCard, currentFormat);
+}
+
+/**
+ * Open the share panel for a card
+ * @param {Object} card - { ayah, reference, excerpt, excerptDir, label, filename }
+ */
+export async function openSharePanel(card) {
+    const panel = document.getElementById('share-panel');
+    if (!panel) return;
+
+    currentCard = card;
+    panel.classList.add('active');
+    document.body.style.overflow = 'hidden';
+
+    await renderPreview();
+}
+
+/**
+ * Close the share panel
+ */
+export function closeSharePanel() {
+    const panel = document.getElementById('share-panel');
+    if (!panel) return;
+
+    panel.classList.remove('active');
+    document.body.style.overflow = '';
+}
+
+/**
+ * Initialize share panel
+ */
+export function initShare() {
+    const panel = document.getElementById('share-panel');
+    const closeBtn = document.getElementById('share-close');
+    const sendBtn = document.getElementById('share-send');
+    const formats = document.getElementById('share-formats');
+
+    if (!panel) return;
+
+    if (formats) {
+        formats.innerHTML = Object.entries(SHARE_FORMATS).map(([key, format]) =>
+            `<button class="share-format" data-format="${key}">${format.label}</button>`
+        ).join('');
+
+        formats.querySelectorAll('.share-format').forEach(btn => {
+            btn.addEventListener('click', () => {
+                currentFormat = btn.dataset.format;
+                renderPreview();
+            });
+        });
+    }
+
+    if (closeBtn) {
+        closeBtn.addEventListener('click', closeSharePanel);
+    }
+
+    if (sendBtn) {
+        sendBtn.addEventListener('click', () => {
+            const canvas = document.getElementById('share-canvas');
+            if (!canvas || !currentCard) return;
+
+            shareCanvas(canvas, `${currentCard.filename}-${currentFormat}.png`);
+        });
+    }
+
+    // Click outside to close
+    panel.addEventListener('click', (e) => {
+        if (e.target === panel) {
+            closeSharePanel();
+        }
+    });
+
+    // Keyboard close
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            closeSharePanel();
+        }
+    });
+}
+
+export default {
+    SHARE_FORMATS,
+    drawShareCard,
+    shareCanvas,
+    openSharePanel,
+    closeSharePanel,
+    initShare
+};
@@ -3,6 +3,8 @@
  */
 
 import { pulseAnimation, animateNumber, animateProgressRing } from './animations.js';
+import { getIslamicDate, getCurrentRamadanDay } from './ramadan.js';
+import { isQadrNight, QADR_DUA, QADR_DUA_TARGET } from './qadr.js';
 
 // Storage key
 const STORAGE_KEY = 'hadiye_tasbiix';
@@ -13,7 +15,8 @@ let state = {
     target: 33,
     dhikr: 'سبحان الله',
     totalToday: 0,
-    lastReset: new Date().toDateString()
+    lastReset: getIslamicDate().toDateString(),
+    qadrPreset: null   // Day key of the last Laylat al-Qadr preset
 };
 
 /**
@@ -26,9 +29,10 @@ function loadState() {
             const parsed = JSON.parse(saved);
 
             // Reset if new day
-            if (parsed.lastReset !== new Date().toDateString()) {
+            if (parsed.lastReset !== getIslamicDate().toDateString()) {
                 parsed.count = 0;
-                parsed.lastReset = new Date().toDateString();
+                parsed.totalToday = 0;
+                parsed.lastReset = getIslamicDate().toDateString();
             }
 
             state = { ...state, ...parsed };
@@ -96,6 +100,40 @@ export function reset() {
     updateUI();
 }
 
+/**
+ * Start a new day: clear today's count and total
+ * Called when the Islamic day rolls over while the app is open
+ */
+export function resetDay() {
+    state.count = 0;
+    state.totalToday = 0;
+    state.lastReset = getIslamicDate().toDateString();
+    saveState();
+    updateUI();
+    applyQadrPreset();
+}
+
+/**
+ * Preset the Laylat al-Qadr dua on odd nights of the last ten
+ * Applied once per night so the user can still switch dhikr afterwards
+ */
+export function applyQadrPreset() {
+    const day = getCurrentRamadanDay();
+    const key = getIslamicDate().toDateString();
+
+    if (!isQadrNight(day) || state.qadrPreset === key) return;
+
+    state.qadrPreset = key;
+    state.dhikr = QADR_DUA;
+    state.target = QADR_DUA_TARGET;
+    state.count = 0;
+    saveState();
+
+    updateUI();
+    updateDhikrUI();
+    syncSelectors();
+}
+
 /**
  * Set target
  * @param {number} target - New target
@@ -161,6 +199,19 @@ function updateDhikrUI() {
     }
 }
 
+/**
+ * Mark the active target and dhikr buttons
+ */
+function syncSelectors() {
+    document.querySelectorAll('.target-btn').forEach(btn => {
+        btn.classList.toggle('active', parseInt(btn.dataset.target) === state.target);
+    });
+
+    document.querySelectorAll('.dhikr-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.dhikr === state.dhikr);
+    });
+}
+
 /**
  * Initialize Tasbiix
  */
@@ -243,12 +294,18 @@ export function initTasbiix() {
     // Initial UI update
     updateUI();
     updateDhikrUI();
+    syncSelectors();
+
+    // Odd nights of the last ten
+    applyQadrPreset();
 }
 
 export default {
     getState,
     increment,
     reset,
+    resetDay,
+    applyQadrPreset,
     setTarget,
     setDhikr,
     initTasbiix
@@ -0,0 +1,216 @@
+/**
+ * Timetable Module - Ramadan imsakiyah
+ * Printable 30-day sheet and iCalendar (.ics) export of suhoor and iftar
+ */
+
+import { HIJRI_MONTHS, RAMADAN_MONTH } from './hijri.js';
+import { getUpcomingRamadan, getIslamicDate } from './ramadan.js';
+import { getPrayerTimes, getLocation, getCalculationSettings, METHODS, formatTime } from './prayertimes.js';
+
+// Length of the calendar events, in minutes
+const SUHOOR_MINUTES = 30;
+const IFTAR_MINUTES = 30;
+
+const MS_PER_MINUTE = 60 * 1000;
+
+/**
+ * Build the timetable rows for the current or upcoming Ramadan
+ * Times are only present when a location is saved
+ * @returns {Object} { hijriYear, rows: [{ day, date, hijri, fajr, maghrib }] }
+ */
+export function getTimetable() {
+    const { hijriYear, start, totalDays } = getUpcomingRamadan();
+    const location = getLocation();
+
+    const rows = Array.from({ length: totalDays }, (_, i) => {
+        const date = new Date(start.getFullYear(), start.getMonth(), start.getDate() + i);
+        const times = location ? getPrayerTimes(date, location) : null;
+
+        return {
+            day: i + 1,
+            date,
+            hijri: { year: hijriYear, month: RAMADAN_MONTH, day: i + 1 },
+            fajr: times ? times.fajr : null,
+            maghrib: times ? times.maghrib : null
+        };
+    });
+
+    return { hijriYear, rows };
+}
+
+/**
+ * Format a Date as an iCalendar UTC date-time
+ * @param {Date} date
+ * @returns {string} YYYYMMDDTHHMMSSZ
+ */
+function toIcsDateTime(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Format a local calendar day as an iCalendar date
+ * @param {Date} date
+ * @returns {string} YYYYMMDD
+ */
+function toIcsDate(date) {
+    const m = String(date.getMonth() + 1).padStart(2, '0');
+    const d = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}${m}${d}`;
+}
+
+/**
+ * Escape text for an iCalendar property value
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeIcs(text) {
+    return text.replace(/[\\;,]/g, c => `\\${c}`).replace(/\n/g, '\\n');
+}
+
+/**
+ * Build an iCalendar file for a timetable
+ * With a location: a suhoor event ending at Fajr and an iftar event at Maghrib each day.
+ * Without one: an all-day event per Ramadan day.
+ * @param {Object} timetable - From getTimetable()
+ * @returns {string} .ics contents
+ */
+export function buildIcs({ hijriYear, rows }) {
+    const stamp = toIcsDateTime(new Date());
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Hadiye//Ramadan Timetable//SO',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeIcs(`Ramadaan ${hijriYear}`)}`
+    ];
+
+    const addEvent = (uid, summary, dates) => {
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${uid}@hadiye`,
+            `DTSTAMP:${stamp}`,
+            ...dates,
+            `SUMMARY:${escapeIcs(summary)}`,
+            'END:VEVENT'
+        );
+    };
+
+    rows.forEach(row => {
+        const id = `ramadan-${hijriYear}-${row.day}`;
+
+        if (!row.fajr) {
+            const next = new Date(row.date.getFullYear(), row.date.getMonth(), row.date.getDate() + 1);
+            addEvent(id, `Ramadaan ${row.day}`, [
+                `DTSTART;VALUE=DATE:${toIcsDate(row.date)}`,
+                `DTEND;VALUE=DATE:${toIcsDate(next)}`
+            ]);
+            return;
+        }
+
+        addEvent(`${id}-suhoor`, `Suxuur · Ramadaan ${row.day}`, [
+            `DTSTART:${toIcsDateTime(new Date(row.fajr - SUHOOR_MINUTES * MS_PER_MINUTE))}`,
+            `DTEND:${toIcsDateTime(row.fajr)}`
+        ]);
+        addEvent(`${id}-iftar`, `Afur · Ramadaan ${row.day}`, [
+            `DTSTART:${toIcsDateTime(row.maghrib)}`,
+            `DTEND:${toIcsDateTime(new Date(row.maghrib.getTime() + IFTAR_MINUTES * MS_PER_MINUTE))}`
+        ]);
+    });
+
+    lines.push('END:VCALENDAR');
+
+    // iCalendar requires CRLF line endings
+    return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Download the timetable as an .ics file
+ */
+export function downloadIcs() {
+    const timetable = getTimetable();
+    const blob = new Blob([buildIcs(timetable)], { type: 'text/calendar;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `hadiye-ramadan-${timetable.hijriYear}.ics`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Render the timetable sheet
+ */
+export function renderTimetable() {
+    const container = document.getElementById('timetable-sheet');
+    if (!container) return;
+
+    const { hijriYear, rows } = getTimetable();
+    const location = getLocation();
+    const todayTime = getIslamicDate().getTime();
+
+    container.innerHTML = `
+        <div class="timetable-header">
+            <h3 class="timetable-title">إمساكية رمضان ${hijriYear} · Jadwalka Ramadaan</h3>
+            <p class="timetable-meta">
+                ${location
+                    ? `${location.latitude.toFixed(2)}°, ${location.longitude.toFixed(2)}° · ${METHODS[getCalculationSettings().method].name}`
+                    : 'Dooro goobtaada si aad u aragto waqtiyada suxuurta iyo afurka.'}
+            </p>
+        </div>
+        <table class="timetable-table">
+            <thead>
+                <tr>
+                    <th>Maalin</th>
+                    <th>Hijri</th>
+                    <th>Miilaadi</th>
+                    ${location ? '<th>Suxuur (Fajar)</th><th>Afur (Maqrib)</th>' : ''}
+                </tr>
+            </thead>
+            <tbody>
+                ${rows.map(row => `
+                    <tr class="${row.date.getTime() === todayTime ? 'today' : ''}">
+                        <td>${row.day}</td>
+                        <td class="timetable-hijri">${row.hijri.day} ${HIJRI_MONTHS[row.hijri.month - 1]}</td>
+                        <td>${row.date.toLocaleDateString('en-GB', { weekday: 'short', day: 'numeric', month: 'short' })}</td>
+                        ${location ? `<td>${formatTime(row.fajr)}</td><td>${formatTime(row.maghrib)}</td>` : ''}
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+/**
+ * Print only the timetable sheet
+ */
+export function printTimetable() {
+    document.body.classList.add('print-timetable');
+    window.addEventListener('afterprint', () => {
+        document.body.classList.remove('print-timetable');
+    }, { once: true });
+    window.print();
+}
+
+/**
+ * Initialize timetable section
+ */
+export function initTimetable() {
+    renderTimetable();
+
+    document.getElementById('timetable-ics')?.addEventListener('click', downloadIcs);
+    document.getElementById('timetable-print')?.addEventListener('click', printTimetable);
+}
+
+export default {
+    getTimetable,
+    buildIcs,
+    downloadIcs,
+    printTimetable,
+    renderTimetable,
+    initTimetable
+};
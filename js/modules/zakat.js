@@ -0,0 +1,350 @@
+/**
+ * Zakat Module - Zakat al-Fitr and annual zakat (zakat al-mal) calculator
+ */
+
+// Storage key
+const STORAGE_KEY = 'hadiye_zakat';
+
+// One saa' of staple food per household member, in kilograms
+const SAA_KG = 2.5;
+
+// Nisab thresholds in grams
+const NISAB_GRAMS = {
+    gold: 85,
+    silver: 595
+};
+
+// Annual zakat rate (one fortieth)
+const ZAKAT_RATE = 0.025;
+
+// Days before the end of Ramadan when the hero reminds about Zakat al-Fitr
+export const ZAKAT_REMINDER_DAYS = 5;
+
+// Zakat al-mal asset fields, in the order they are shown
+const ASSET_FIELDS = [
+    { id: 'cash', label: 'Lacag caddaan ah / bangi' },
+    { id: 'gold', label: 'Qiimaha dahabka' },
+    { id: 'silver', label: 'Qiimaha lacagta (fiddada)' },
+    { id: 'stock', label: 'Alaabta ganacsiga' },
+    { id: 'receivables', label: 'Deymaha lagaa rabo' }
+];
+
+// Default calculator inputs
+const DEFAULT_INPUTS = {
+    household: 1,
+    staplePrice: 0,     // Price of one kilogram of staple food
+    cash: 0,
+    gold: 0,
+    silver: 0,
+    stock: 0,
+    receivables: 0,     // Debts owed to you that you expect to be repaid
+    liabilities: 0,     // Debts you owe that are due now
+    nisabBasis: 'gold',
+    nisabPrice: 0,      // Price of one gram of the nisab metal
+    currency: ''
+};
+
+// State
+let state = {
+    inputs: { ...DEFAULT_INPUTS },
+    lastCalculation: null   // { fitr, mal, currency, savedAt }
+};
+
+/**
+ * Load state from localStorage
+ */
+function loadState() {
+    try {
+        const saved = localStorage.getItem(STORAGE_KEY);
+        if (saved) {
+            const parsed = JSON.parse(saved);
+            state = {
+                ...state,
+                ...parsed,
+                inputs: { ...DEFAULT_INPUTS, ...parsed.inputs }
+            };
+        }
+    } catch (error) {
+        console.error('Failed to load zakat calculation:', error);
+    }
+}
+
+/**
+ * Save state to localStorage
+ */
+function saveState() {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+    } catch (error) {
+        console.error('Failed to save zakat calculation:', error);
+    }
+}
+
+loadState();
+
+/**
+ * Calculate Zakat al-Fitr for a household
+ * @param {Object} input - { household, staplePrice }
+ * @returns {Object} { household, kilograms, perPerson, total }
+ */
+export function calculateZakatFitr({ household, staplePrice }) {
+    const perPerson = SAA_KG * staplePrice;
+
+    return {
+        household,
+        kilograms: household * SAA_KG,
+        perPerson,
+        total: household * perPerson
+    };
+}
+
+/**
+ * Calculate annual zakat on wealth held for a lunar year
+ * @param {Object} input - Asset values, liabilities, nisabBasis and nisabPrice
+ * @returns {Object} { assets, liabilities, net, nisab, due, zakat }
+ */
+export function calculateZakatMal(input) {
+    const assets = ASSET_FIELDS.reduce((sum, field) => sum + (input[field.id] || 0), 0);
+    const liabilities = input.liabilities || 0;
+    const net = Math.max(0, assets - liabilities);
+    const nisab = (NISAB_GRAMS[input.nisabBasis] || NISAB_GRAMS.gold) * (input.nisabPrice || 0);
+
+    // Without a nisab price there is nothing to compare against
+    const due = nisab > 0 && net >= nisab;
+
+    return {
+        assets,
+        liabilities,
+        net,
+        nisab,
+        due,
+        zakat: due ? net * ZAKAT_RATE : 0
+    };
+}
+
+/**
+ * Get the last saved calculation
+ * @returns {Object|null} { fitr, mal, currency, savedAt }
+ */
+export function getLastCalculation() {
+    return state.lastCalculation ? { ...state.lastCalculation } : null;
+}
+
+/**
+ * Save the current inputs and their results as the last calculation
+ */
+function saveCalculation() {
+    state.lastCalculation = {
+        fitr: calculateZakatFitr(state.inputs),
+        mal: calculateZakatMal(state.inputs),
+        currency: state.inputs.currency,
+        savedAt: new Date().toISOString()
+    };
+    saveState();
+}
+
+/**
+ * Format an amount with a currency
+ * @param {number} amount
+ * @param {string} currency
+ * @returns {string}
+ */
+function formatAmount(amount, currency = state.inputs.currency) {
+    const value = amount.toLocaleString('en-US', { maximumFractionDigits: 2 });
+    return currency ? `${value} ${currency}` : value;
+}
+
+/**
+ * Render a labelled number input
+ * @param {string} id - Input key in state.inputs
+ * @param {string} label
+ * @param {Object} attrs - Extra attributes
+ * @returns {string}
+ */
+function renderField(id, label, attrs = '') {
+    return `
+        <label class="zakat-field">
+            <span>${label}</span>
+            <input type="number" min="0" step="any" data-input="${id}" ${attrs} placeholder="0">
+        </label>
+    `;
+}
+
+/**
+ * Render the Zakat al-Fitr breakdown
+ * @param {HTMLElement} container
+ */
+function renderFitrResult(container) {
+    const { household, kilograms, perPerson, total } = calculateZakatFitr(state.inputs);
+
+    container.innerHTML = `
+        <div class="zakat-row"><span>Qofkiiba (${SAA_KG} kg × ${formatAmount(state.inputs.staplePrice)})</span><span>${formatAmount(perPerson)}</span></div>
+        <div class="zakat-row"><span>Cuntada guud (${household} qof)</span><span>${kilograms} kg</span></div>
+        <div class="zakat-row total"><span>Zakaatul Fitri</span><span>${formatAmount(total)}</span></div>
+    `;
+}
+
+/**
+ * Render the zakat al-mal breakdown
+ * @param {HTMLElement} container
+ */
+function renderMalResult(container) {
+    const { assets, liabilities, net, nisab, due, zakat } = calculateZakatMal(state.inputs);
+    const basis = state.inputs.nisabBasis;
+
+    container.innerHTML = `
+        <div class="zakat-row"><span>Hantida guud</span><span>${formatAmount(assets)}</span></div>
+        <div class="zakat-row"><span>Deynta laga jarayo</span><span>− ${formatAmount(liabilities)}</span></div>
+        <div class="zakat-row"><span>Hantida saafiga ah</span><span>${formatAmount(net)}</span></div>
+        <div class="zakat-row"><span>Nisaabka (${NISAB_GRAMS[basis]} g ${basis === 'gold' ? 'dahab' : 'fiddo'})</span><span>${nisab > 0 ? formatAmount(nisab) : '—'}</span></div>
+        <div class="zakat-row total">
+            <span>${due ? `Zakada (${ZAKAT_RATE * 100}%)` : 'Zako kuma waajibin'}</span>
+            <span>${formatAmount(zakat)}</span>
+        </div>
+        ${nisab === 0 ? '<p class="zakat-hint">Geli qiimaha garaamka si loo xisaabiyo nisaabka.</p>' : ''}
+    `;
+}
+
+/**
+ * Render the "last saved" line
+ * @param {HTMLElement} container
+ */
+function renderSaved(container) {
+    const last = state.lastCalculation;
+
+    container.textContent = last
+        ? `Xisaabtii ugu dambeysay: ${new Date(last.savedAt).toLocaleDateString('en-GB', { dateStyle: 'medium' })} · Fitri ${formatAmount(last.fitr.total, last.currency)} · Zako ${formatAmount(last.mal.zakat, last.currency)}`
+        : 'Weli xisaab lama kaydin.';
+}
+
+/**
+ * Render the zakat section
+ */
+export function renderZakat() {
+    const fitr = document.getElementById('zakat-fitr');
+    const mal = document.getElementById('zakat-mal');
+    const saved = document.getElementById('zakat-saved');
+    if (!fitr || !mal) return;
+
+    fitr.innerHTML = `
+        <h3 class="zakat-subtitle">Zakaatul Fitri</h3>
+        <div class="zakat-form">
+            ${renderField('household', 'Tirada qoyska', 'step="1" min="1"')}
+            ${renderField('staplePrice', 'Qiimaha 1 kg cunto (bariis, sarreen…)')}
+            <label class="zakat-field">
+                <span>Lacagta</span>
+                <input type="text" data-input="currency" placeholder="USD, SOS, KES…" maxlength="6">
+            </label>
+        </div>
+        <div class="zakat-result" data-result="fitr"></div>
+    `;
+
+    mal.innerHTML = `
+        <h3 class="zakat-subtitle">Zakada Sanadlaha ah</h3>
+        <div class="zakat-form">
+            ${ASSET_FIELDS.map(field => renderField(field.id, field.label)).join('')}
+            ${renderField('liabilities', 'Deynta lagugu leeyahay')}
+            <label class="zakat-field">
+                <span>Nisaabka</span>
+                <select data-input="nisabBasis">
+                    <option value="gold">Dahab (${NISAB_GRAMS.gold} g)</option>
+                    <option value="silver">Fiddo (${NISAB_GRAMS.silver} g)</option>
+                </select>
+            </label>
+            ${renderField('nisabPrice', 'Qiimaha 1 garaam')}
+        </div>
+        <div class="zakat-result" data-result="mal"></div>
+    `;
+
+    const inputs = [...fitr.querySelectorAll('[data-input]'), ...mal.querySelectorAll('[data-input]')];
+    const fitrResult = fitr.querySelector('[data-result="fitr"]');
+    const malResult = mal.querySelector('[data-result="mal"]');
+
+    // Values are set as properties so user text never passes through markup
+    inputs.forEach(input => {
+        const value = state.inputs[input.dataset.input];
+        input.value = typeof value === 'number' && value === 0 ? '' : value;
+    });
+
+    const update = () => {
+        inputs.forEach(input => {
+            const key = input.dataset.input;
+            state.inputs[key] = typeof DEFAULT_INPUTS[key] === 'number'
+                ? Math.max(0, parseFloat(input.value) || 0)
+                : input.value.trim();
+        });
+        state.inputs.household = Math.max(1, Math.round(state.inputs.household));
+        saveState();
+
+        renderFitrResult(fitrResult);
+        renderMalResult(malResult);
+    };
+
+    inputs.forEach(input => {
+        input.addEventListener(input.tagName === 'SELECT' ? 'change' : 'input', update);
+    });
+
+    update();
+
+    if (saved) {
+        renderSaved(saved);
+
+        const saveBtn = document.getElementById('zakat-save');
+        if (saveBtn && !saveBtn.dataset.bound) {
+            saveBtn.dataset.bound = 'true';
+            saveBtn.addEventListener('click', () => {
+                saveCalculation();
+                renderSaved(saved);
+            });
+        }
+    }
+}
+
+/**
+ * Render the Zakat al-Fitr reminder in the hero during the last days of Ramadan
+ * @param {HTMLElement} container
+ * @param {Object} status - From getRamadanStatus()
+ */
+export function renderZakatReminder(container, status) {
+    if (!container) return;
+
+    const daysLeft = status.totalDays - status.currentDay;
+    const last = state.lastCalculation;
+
+    container.innerHTML = `
+        <span class="zakat-reminder-title">Zakaatul Fitri</span>
+        <span class="zakat-reminder-text">
+            ${last && last.fitr.total > 0
+                ? `${formatAmount(last.fitr.total, last.currency)} (${last.fitr.household} qof) — `
+                : ''}bixi ka hor salaadda Ciidda${daysLeft > 0 ? ` · ${daysLeft} maalmood ayaa ka harsan` : ''}
+        </span>
+        <a href="#zakat" class="zakat-reminder-link">Xisaabi</a>
+    `;
+}
+
+/**
+ * Whether the hero should remind about Zakat al-Fitr
+ * @param {Object} status - From getRamadanStatus()
+ * @returns {boolean}
+ */
+export function isZakatReminderDue(status) {
+    return status.isRamadan && status.totalDays - status.currentDay < ZAKAT_REMINDER_DAYS;
+}
+
+/**
+ * Initialize zakat section
+ */
+export function initZakat() {
+    renderZakat();
+}
+
+export default {
+    ZAKAT_REMINDER_DAYS,
+    calculateZakatFitr,
+    calculateZakatMal,
+    getLastCalculation,
+    renderZakat,
+    renderZakatReminder,
+    isZakatReminderDue,
+    initZakat
+};
@@ -3,9 +3,12 @@
  * Provides offline functionality for the PWA
  */
 
-const CACHE_NAME = 'hadiye-v2.0.0';
+const CACHE_NAME = 'hadiye-v2.22.8';
 const OFFLINE_URL = '/offline.html';
 
+// Surah chunks are cached as they are read and kept across app updates
+const QURAN_CACHE = 'hadiye-quran-v1';
+
 // Assets to cache immediately
 const PRECACHE_ASSETS = [
     '/',
@@ -15,13 +18,42 @@ const PRECACHE_ASSETS = [
     '/css/cibro.css',
     '/css/quran.css',
     '/css/tasbiix.css',
+    '/css/fasting.css',
+    '/css/zakat.css',
+    '/css/qibla.css',
+    '/css/timetable.css',
+    '/css/settings.css',
+    '/css/share.css',
+    '/css/favorites.css',
+    '/css/reading.css',
+    '/css/khatm.css',
     '/js/main.js',
+    '/js/modules/clock.js',
+    '/js/modules/hijri.js',
+    '/js/modules/prayertimes.js',
+    '/js/modules/qadr.js',
     '/js/modules/ramadan.js',
     '/js/modules/cibro.js',
+    '/js/modules/journal.js',
     '/js/modules/quran.js',
+    '/js/modules/search.js',
+    '/js/modules/arabic.js',
+    '/js/modules/references.js',
+    '/js/modules/language.js',
     '/js/modules/tasbiix.js',
+    '/js/modules/fasting.js',
+    '/js/modules/zakat.js',
+    '/js/modules/qibla.js',
+    '/js/modules/timetable.js',
+    '/js/modules/settings.js',
+    '/js/modules/share.js',
+    '/js/modules/favorites.js',
+    '/js/modules/reading.js',
+    '/js/modules/khatm.js',
+    '/js/modules/mushaf.js',
     '/js/modules/animations.js',
-    '/data/surahs.json',
+    '/data/quran/index.json',
+    '/data/quran/meta.json',
     '/data/reflections.json',
     // External resources
     'https://cdnjs.cloudflare.com/ajax/libs/gsap/3.12.5/gsap.min.js',
@@ -58,7 +90,7 @@ self.addEventListener('activate', (event) => {
             .then((cacheNames) => {
                 return Promise.all(
                     cacheNames
-                        .filter((name) => name !== CACHE_NAME)
+                        .filter((name) => name !== CACHE_NAME && name !== QURAN_CACHE)
                         .map((name) => {
                             console.log('[SW] Deleting old cache:', name);
                             return caches.delete(name);
@@ -88,7 +120,10 @@ self.addEventListener('fetch', (event) => {
     }
 
     // Handle different strategies based on request type
-    if (url.pathname.startsWith('/data/')) {
+    if (/^\/data\/quran\/\d+\.json$/.test(url.pathname)) {
+        // Surah chunks - cache first in their own cache
+        event.respondWith(cacheFirst(request, QURAN_CACHE));
+    } else if (url.pathname.startsWith('/data/')) {
         // JSON data - cache first, network fallback
         event.respondWith(cacheFirst(request));
     } else if (url.pathname.match(/\.(js|css)$/)) {
@@ -109,7 +144,7 @@ self.addEventListener('fetch', (event) => {
  * Cache First Strategy
  * Best for: Static assets that don't change often
  */
-async function cacheFirst(request) {
+async function cacheFirst(request, cacheName = CACHE_NAME) {
     const cached = await caches.match(request);
     if (cached) {
         return cached;
@@ -118,7 +153,7 @@ async function cacheFirst(request) {
     try {
         const response = await fetch(request);
         if (response.ok) {
-            const cache = await caches.open(CACHE_NAME);
+            const cache = await caches.open(cacheName);
             cache.put(request, response.clone());
         }
         return response;
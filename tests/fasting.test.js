@@ -0,0 +1,47 @@
+/**
+ * Qada balance arithmetic
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/browser.js';
+import { initFasting, setDayState, getQadaBalance, recordQadaFast, removeQadaFast } from '../js/modules/fasting.js';
+
+// Fidya days are only set from the calculator form, so they are saved before loading
+localStorage.setItem('hadiye_fasting', JSON.stringify({ fidyaDays: 2 }));
+initFasting();
+
+const HIJRI_YEAR = 1447;
+
+beforeEach(() => {
+    for (let day = 1; day <= 30; day++) setDayState(HIJRI_YEAR, day, null);
+    ['2026-04-01', '2026-04-02', '2026-04-03'].forEach(removeQadaFast);
+});
+
+test('missed and excused days are owed, less fidya days', () => {
+    setDayState(HIJRI_YEAR, 3, 'missed');
+    setDayState(HIJRI_YEAR, 4, 'excused');
+    setDayState(HIJRI_YEAR, 5, 'fasted');
+    setDayState(HIJRI_YEAR, 6, 'missed');
+    setDayState(HIJRI_YEAR, 7, 'missed');
+
+    assert.deepEqual(getQadaBalance(), { owed: 2, fidya: 2, paid: 0, balance: 2 });
+});
+
+test('fidya never covers more days than were missed', () => {
+    setDayState(HIJRI_YEAR, 3, 'missed');
+
+    assert.deepEqual(getQadaBalance(), { owed: 0, fidya: 1, paid: 0, balance: 0 });
+});
+
+test('make-up fasts pay the balance down, once per day and never below zero', () => {
+    ['missed', 'missed', 'missed', 'excused'].forEach((dayState, i) => setDayState(HIJRI_YEAR, i + 1, dayState));
+
+    recordQadaFast(new Date(2026, 3, 1));
+    recordQadaFast(new Date(2026, 3, 1));
+    assert.deepEqual(getQadaBalance(), { owed: 2, fidya: 2, paid: 1, balance: 1 });
+
+    recordQadaFast(new Date(2026, 3, 2));
+    recordQadaFast(new Date(2026, 3, 3));
+    assert.deepEqual(getQadaBalance(), { owed: 2, fidya: 2, paid: 3, balance: 0 });
+});
@@ -0,0 +1,36 @@
+/**
+ * Minimal browser globals for loading the app modules under node:test
+ * Import before any module from js/, so they see these at load time
+ */
+
+import { readFile } from 'node:fs/promises';
+
+const root = new URL('../../', import.meta.url);
+const storage = new Map();
+
+// Dates in the tests are local calendar days
+process.env.TZ = 'UTC';
+
+globalThis.gsap = { registerPlugin() {} };
+globalThis.ScrollTrigger = {};
+
+globalThis.localStorage = {
+    getItem: key => storage.get(key) ?? null,
+    setItem: (key, value) => storage.set(key, String(value)),
+    removeItem: key => storage.delete(key),
+    clear: () => storage.clear()
+};
+
+globalThis.window = { location: { search: '' }, addEventListener() {}, dispatchEvent() {} };
+globalThis.document = {
+    hidden: true,
+    addEventListener() {},
+    getElementById: () => null,
+    querySelectorAll: () => []
+};
+
+// App data is read from the repository, as the app fetches it relative to its root
+globalThis.fetch = async (url) => {
+    const text = await readFile(new URL(url.replace(/^\.?\//, ''), root), 'utf8');
+    return { ok: true, status: 200, json: async () => JSON.parse(text) };
+};
@@ -0,0 +1,21 @@
+/**
+ * Mushaf metadata checked against the surah index it ships with
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { validateQuranMeta } from '../js/modules/mushaf.js';
+
+const load = async (path) => JSON.parse(await readFile(new URL(`../data/quran/${path}`, import.meta.url), 'utf8'));
+
+test('meta.json matches the surah index', async () => {
+    const [meta, index] = await Promise.all([load('meta.json'), load('index.json')]);
+    assert.deepEqual(validateQuranMeta(meta, index.surahs), []);
+});
+
+test('a broken list is reported', async () => {
+    const [meta, index] = await Promise.all([load('meta.json'), load('index.json')]);
+    const issues = validateQuranMeta({ ...meta, juz: meta.juz.slice(1) }, index.surahs);
+    assert.ok(issues.some(issue => issue.label === "Juz'" && issue.message === 'Wrong number of entries'));
+});
@@ -0,0 +1,63 @@
+/**
+ * Moon-sighting declarations
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/browser.js';
+import { setPreview } from '../js/modules/clock.js';
+import { setLocation, getTodayPrayerTimes } from '../js/modules/prayertimes.js';
+import {
+    getRamadanDates,
+    canDeclareRamadanStarted,
+    declareRamadanStarted,
+    declareEidTomorrow,
+    resetSighting
+} from '../js/modules/ramadan.js';
+
+// Ramadan 1447 is computed as 30 days, from 18 February 2026
+const HIJRI_YEAR = 1447;
+const DAY_29 = new Date(2026, 2, 18);
+
+/**
+ * Pin the clock to a time relative to Maghrib on day 29
+ * @param {number} minutes - Minutes after Maghrib, negative for before
+ */
+function atMaghribOfDay29(minutes) {
+    const { maghrib } = getTodayPrayerTimes(DAY_29);
+    setPreview(new Date(maghrib.getTime() + minutes * 60 * 1000), { frozen: true });
+}
+
+beforeEach(() => {
+    setLocation({ latitude: 2.04, longitude: 45.34 });
+    resetSighting();
+});
+
+test('Eid declared before Maghrib makes today the last fast', () => {
+    atMaghribOfDay29(-60);
+    assert.equal(declareEidTomorrow(), true);
+
+    const { end, totalDays } = getRamadanDates(HIJRI_YEAR);
+    assert.equal(end.toDateString(), DAY_29.toDateString());
+    assert.equal(totalDays, 29);
+});
+
+test('Eid announced after Maghrib still ends Ramadan on that calendar day', () => {
+    atMaghribOfDay29(30);
+    assert.equal(declareEidTomorrow(), true);
+
+    const { end, totalDays } = getRamadanDates(HIJRI_YEAR);
+    assert.equal(end.toDateString(), DAY_29.toDateString());
+    assert.equal(totalDays, 29);
+});
+
+test('a declared start is not moved by a later tap', () => {
+    setPreview(new Date(2026, 1, 19, 10), { frozen: true });
+    assert.equal(declareRamadanStarted(), true);
+    assert.equal(getRamadanDates(HIJRI_YEAR).start.toDateString(), new Date(2026, 1, 19).toDateString());
+
+    setPreview(new Date(2026, 1, 20, 10), { frozen: true });
+    assert.equal(canDeclareRamadanStarted(), false);
+    assert.equal(declareRamadanStarted(), false);
+    assert.equal(getRamadanDates(HIJRI_YEAR).start.toDateString(), new Date(2026, 1, 19).toDateString());
+});
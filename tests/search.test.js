@@ -0,0 +1,45 @@
+/**
+ * Search regression cases against the real Quran data
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/browser.js';
+import { searchAyahs } from '../js/modules/search.js';
+
+/**
+ * Search and list the matching references
+ * @param {string} query
+ * @returns {Promise<Array>} ['surah:ayah']
+ */
+async function references(query) {
+    const { results } = await searchAyahs(query, Infinity);
+    return results.map(r => `${r.surah}:${r.ayah}`);
+}
+
+test('hamza carrying a long alef matches a plain alef', async () => {
+    assert.ok((await references('الذين آمنوا')).includes('2:9'));
+});
+
+test('vocative ya with superscript alef matches يا', async () => {
+    assert.ok((await references('يا أيها الذين')).includes('2:104'));
+});
+
+test('standalone hamza is ignored', async () => {
+    assert.ok((await references('القرآن')).includes('2:185'));
+});
+
+test('superscript alef matches with or without the alef', async () => {
+    assert.ok((await references('العالمين')).includes('1:2'));
+    assert.ok((await references('العلمين')).includes('1:2'));
+    assert.ok((await references('يسالونك')).includes('2:189'));
+});
+
+test('an alef typed in the query is not dropped elsewhere', async () => {
+    // كُتِبَ عَلَيْكُمُ ٱلصِّيَامُ has no كتاب
+    assert.ok(!(await references('كتاب')).includes('2:183'));
+    // قُلْ هُوَ ٱللَّهُ أَحَدٌ has no قال
+    assert.ok(!(await references('قال')).includes('112:1'));
+    // ذُو ٱلْقَرْنَيْنِ is not the Quran
+    assert.ok(!(await references('القرآن')).includes('18:83'));
+});